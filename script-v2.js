@@ -11,6 +11,45 @@ const pianoRollCanvas = document.getElementById('pianoRollCanvas');
 let midiAccess = null;
 let midiOutput = null; // Port to send MIDI back to piano
 let activeNotes = new Set();
+let listeningInputs = new Set(); // Input ports we currently receive from
+let midiRunningStatus = new Map(); // input port -> last channel status byte (running status)
+
+// Data bytes that follow each channel voice status (upper nibble)
+const MIDI_MESSAGE_LENGTHS = { 0x80: 2, 0x90: 2, 0xA0: 2, 0xB0: 2, 0xC0: 1, 0xD0: 1, 0xE0: 2 };
+
+// Per-channel controller state (program, pressure, pitch bend, CC values)
+const midiChannelState = Array.from({ length: 16 }, () => ({
+    program: 0,
+    pressure: 0,
+    pitchBend: 0, // -8192..8191
+    controllers: {}
+}));
+
+// Pedal State
+let sustainPedalDown = false;   // CC64
+let sostenutoPedalDown = false; // CC66
+let softPedalDown = false;      // CC67
+let sustainedNotes = new Set(); // Notes released in the sampler while the sustain pedal is down
+let pedalHistory = [];          // Sustain segments for the piano roll: { start, end }
+let lessonSustainDown = false;  // Lesson pedal applied to auto-played hands
+
+// Settings (remembered across sessions in localStorage)
+const SETTINGS_STORAGE_KEY = 'pianestro.settings';
+
+// MIDI Remote Control State (bindings are saved per input device in the 'remoteProfiles' setting)
+const REMOTE_ACTIONS = {
+    rewind: 'Назад 5 с',
+    forward: 'Вперед 5 с',
+    pause: 'Пауза / продовжити',
+    restart: 'З початку',
+    loop: 'Увімкнути повтор A-B',
+    tempoUp: 'Темп +5%',
+    tempoDown: 'Темп −5%',
+    toggleHands: 'Перемкнути руки'
+};
+let remoteLearnAction = null;      // Action waiting for the next control to be pressed, or null
+let remoteControlsDown = new Map(); // 'device:cc' -> true while a bound controller is held past 64
+let remoteLearnedControl = null;   // 'device:type:number' just learned; swallowed until it is released
 
 // Piano Roll State
 let pianoRollCtx = null;
@@ -18,99 +57,397 @@ let noteHistory = [];
 let animationFrameId = null;
 
 // Mode State
-let currentMode = 'freeplay'; // 'freeplay' or 'lesson'
+let currentMode = 'freeplay'; // 'freeplay', 'lesson' (waits for the player) or 'performance' (keeps scrolling)
 // Lesson State
 let lessonStartTime = null;
 let lessonActive = false;
 let lessonPaused = false;
-let lessonPausedTime = 0; // Total time spent paused
+let lessonPausedTime = 0; // Total time spent paused (wall-clock ms)
 let lessonPauseStartTime = null;
+let lessonUserPaused = false;     // Paused by the student (pause button / Space), independent of waiting
+let userPauseStartTime = null;
 let waitingNotes = new Set(); // The notes we're waiting for (Set of MIDI numbers)
 let currentEventIndex = 0; // Track which event we're on
 
+// Scoring State
+let lessonStats = null;          // Results of the running lesson (see createLessonStats)
+let currentChordGroup = null;    // Chord group the lesson is currently waiting on
+let earlyHits = new Map();       // note -> ms pressed ahead of the hit line (for the upcoming chord)
+
 // Dynamic Lesson State (loaded from MIDI files)
 let currentLessonEvents = null;  // Will be populated from MIDI file
 let lessonDuration = 0;          // Total lesson duration in milliseconds
 let lessonName = "No lesson loaded";
 let lessonDescription = "";
+let lessonMidiHeader = null;     // Parsed MIDI header (tempo map, time signatures)
+let lessonTimeOffsetMs = 0;      // Lesson time = MIDI time (ms) + this offset
+
+// Mistake Feedback State
+const WRONG_FLASH_MS = 600;      // How long a wrong key stays red
+const PHRASE_GAP_MS = 600;       // Silence that separates two phrases
+const PHRASE_MAX_MS = 8000;      // Strict mode never rewinds further back than this
+let strictMode = 'off';          // 'off' | 'chord' (replay the whole chord) | 'phrase' (back to the phrase start)
+let wrongNoteFlashes = [];       // { note, time } drawn red at the hit line
+let heldSinceReset = new Set();  // Keys held when strict mode reset the chord: they must be pressed again
+
+// Chord & Note Length Rules
+const CHORD_TOGETHER_MS = 100;   // 'together': all chord notes pressed within this many ms
+const NOTE_LENGTH_MIN_RATIO = 0.75; // Note length check: hold at least this share of the written duration
+const NOTE_LENGTH_MIN_MS = 200;  // Shorter notes aren't checked
+let chordRule = 'sequential';    // 'sequential' (one by one) | 'together' (pressed at once) | 'held' (all down at once)
+let checkNoteLength = false;     // Flag lesson notes released before their written end
+let notePressTimes = new Map();  // note -> Date.now() of its last press
+let heldLessonNotes = new Map(); // note -> lesson event it was credited for, until released
+let earlyReleases = new Set();   // Lesson events released too early (outlined on the roll)
+
+// Dynamics Training State
+const DYNAMICS_TREND_MIN = 8;    // Velocity change across a phrase that counts as crescendo / diminuendo
+let dynamicsTolerance = 0;       // Allowed velocity difference (0 = dynamics mode off)
+let notePressVelocities = new Map(); // note -> velocity of its last press
+
+// Notation State
+const NOTATION_QUARTER_WIDTH = 80;  // Pixels per quarter note on the staff
+const NOTATION_LINE_GAP = 8;        // Pixels between staff lines
+const NOTATION_CURSOR_X = 160;      // Where the hit line sits on the staff
+let notationData = null;            // { chords, measures, ppq } built from the lesson events
+let viewMode = 'roll';              // 'roll' | 'split' | 'notation'
+let notationCtx = null;
+let lessonGrid = [];                // Bar and beat lines for the roll: { timeMs, measure } (measure null on beats)
+
+// Fingering State (event.finger holds the suggestion, overrides come from the teacher)
+const FINGERING_CHORD_MS = 30;      // Onsets closer than this are played as one chord
+// Relaxed span in semitones between two fingers of the right hand: [min, max] (after Parncutt et al.)
+const FINGER_SPANS = {
+    '1-2': [1, 5], '1-3': [3, 7], '1-4': [5, 9], '1-5': [7, 10],
+    '2-3': [1, 2], '2-4': [3, 4], '2-5': [5, 6],
+    '3-4': [1, 2], '3-5': [3, 4],
+    '4-5': [1, 2]
+};
+let showFingering = true;
+let fingeringEditMode = false;      // Clicks on the roll change fingers only while this is on
+let fingeringOverrides = {};        // 'midiTime:note' -> finger (1-5), saved per song
+let lessonFileName = null;          // Song record the overrides belong to
+let fingerHintSignature = '';       // Finger numbers currently shown on the keys
+
+// Lesson Pedal State (from CC64 in the MIDI file)
+let lessonPedalEvents = [];      // { timeMs, down } sorted, only state changes
+let lessonPedalIndex = 0;        // Next pedal event to reach the hit line
+let waitForPedal = false;        // Lesson waits for the student's pedal at each marking
+let waitingPedal = null;         // Pedal state the lesson is paused for (true/false), or null
+
+// A-B Loop State (positions are lesson times at the hit line)
+let loopStartMs = null;
+let loopEndMs = null;
+let loopEnabled = false;
+let loopRepeatTarget = 0;        // Passes before moving on (0 = endless)
+let loopRepeatsDone = 0;
+
+// Performance Mode State
+const PERFORMANCE_WINDOW_MS = 200;   // Max distance from the hit line for a note to count at all
+const PERFORMANCE_HIT_MS = 70;       // Within this distance the note counts as on time
+const PERFORMANCE_POINTS = { hit: 100, early: 50, late: 50 };
+let performanceJudgements = new Map(); // eventIndex -> 'hit' | 'early' | 'late' | 'missed' | 'auto'
+let performanceFeedback = null;        // Last judgement shown at the hit line { text, color, time }
+
+// Recorder State (free play takes)
+let isRecording = false;
+let recordingStartTime = null;   // performance.now() timestamp of the take start
+let recordedEvents = [];         // { type: 'noteOn' | 'noteOff' | 'control', timeMs, note, velocity, controller, value }
+let lastRecording = null;        // Finished take: { events, durationMs, date }
+let playbackTimers = [];         // Pending setTimeout ids while a take plays back
+
+// Tempo State
+const TEMPO_MIN = 0.4;
+const TEMPO_MAX = 1.5;
+const SPEED_TRAINER_STEP = 0.05;
+let lessonTempo = 1;             // Playback speed multiplier (1 = original tempo)
+let speedTrainerEnabled = false; // Raise the tempo after every clean loop pass / run
+let loopPassStartWrongNotes = 0; // Wrong-note count when the current loop pass began
+
+// Practice History State
+const PRACTICE_DB_NAME = 'pianestro';
+const PRACTICE_DB_VERSION = 1;
+let practiceDbPromise = null;    // Lazily opened IndexedDB connection
+let historySelectedSong = null;  // Song shown in the history chart
+
+// Song Library State
+const LIBRARY_FOLDER = 'midi/';
+const BUNDLED_SONGS = [
+    'Adele - Easy On Me.mid',
+    'Adele - Make You Feel My Love - EASY.mid',
+    'chp_op18.mid',
+    'chpn-p2.mid',
+    'chpn_op25_e1.mid',
+    'chpn_op25_e2.mid',
+    'chpn_op66.mid',
+    'chpn_op7_1.mid',
+    'chpn_op7_2.mid',
+    'deb_clai.mid',
+    'fruehlingsrauschen.mid',
+    'mond_1.mid',
+    'scn15_1.mid',
+    'symphony_2_1_(c)lucarelli.mid',
+    'ty_august.mid',
+    'ty_februar.mid',
+    'ty_januar.mid',
+    'ty_maerz.mid',
+    'ty_november.mid',
+    'ty_oktober.mid',
+    'ty_september.mid'
+];
+let librarySongs = [];           // { name, source, meta, favourite } shown in the library
+let libraryFavouritesOnly = false;
 
 // Wait Logic Constants
 const CHORD_WINDOW_MS = 200;
 const HIT_LINE_Y_OFFSET = 40; // Pixels above the bottom of the canvas
 const PIXELS_PER_MS = 100 / 1000; // Scroll speed (100px per second)
+const HIT_LINE_LEAD_MS = HIT_LINE_Y_OFFSET / PIXELS_PER_MS; // A note reaches the hit line this long before its timeMs
+const EARLY_HIT_WINDOW_MS = 250; // How early a chord note may be pressed before it reaches the hit line
 
 // Audio State
 let pianoSynth = null;
+let pianoSampleBuffers = null; // Decoded piano samples by note (null = synthesized piano)
+// Salamander Grand Piano samples (also used for piano accompaniment tracks)
+const PIANO_SAMPLES_BASE_URL = "https://tonejs.github.io/audio/salamander/";
+const PIANO_SAMPLE_URLS = {
+    "A0": "A0.mp3",
+    "C1": "C1.mp3",
+    "D#1": "Ds1.mp3",
+    "F#1": "Fs1.mp3",
+    "A1": "A1.mp3",
+    "C2": "C2.mp3",
+    "D#2": "Ds2.mp3",
+    "F#2": "Fs2.mp3",
+    "A2": "A2.mp3",
+    "C3": "C3.mp3",
+    "D#3": "Ds3.mp3",
+    "F#3": "Fs3.mp3",
+    "A3": "A3.mp3",
+    "C4": "C4.mp3",
+    "D#4": "Ds4.mp3",
+    "F#4": "Fs4.mp3",
+    "A4": "A4.mp3",
+    "C5": "C5.mp3",
+    "D#5": "Ds5.mp3",
+    "F#5": "Fs5.mp3",
+    "A5": "A5.mp3",
+    "C6": "C6.mp3",
+    "D#6": "Ds6.mp3",
+    "F#6": "Fs6.mp3",
+    "A6": "A6.mp3",
+    "C7": "C7.mp3",
+    "D#7": "Ds7.mp3",
+    "F#7": "Fs7.mp3",
+    "A7": "A7.mp3",
+    "C8": "C8.mp3"
+};
+// Sample sets tried in order: the smaller set bundled with the app, then the full Salamander set online
+const PIANO_SAMPLE_SOURCES = [
+    {
+        name: 'bundled',
+        baseUrl: 'samples/piano/',
+        // A and D# of octaves 1-7 plus C8 (A0 is played from D#1)
+        urls: Object.fromEntries(Object.entries(PIANO_SAMPLE_URLS).filter(([note]) => /^(A[1-7]|D#[1-7]|C8)$/.test(note)))
+    },
+    { name: 'salamander', baseUrl: PIANO_SAMPLES_BASE_URL, urls: PIANO_SAMPLE_URLS }
+];
+// Used when no sample set can be loaded
+const SYNTH_PIANO_OPTIONS = {
+    oscillator: { type: 'triangle8' },
+    envelope: { attack: 0.005, decay: 1.5, sustain: 0.05, release: 1 }
+};
 let isAudioInitialized = false;
+let audioLoadPromise = null; // Pending loadAudio(), shared by concurrent callers
+let audioStatusMessage = null; // Last { message, type } shown in #audioStatus
+let offlineFilesMissing = 0;   // Files the service worker couldn't cache yet (reported on every start)
+
+// Accompaniment State (tracks mapped to "Супровід", played by Tone.js instruments)
+const ACCOMPANIMENT_LOOKAHEAD_MS = 150; // Notes are scheduled this far ahead of the hit line (lesson time)
+const ACCOMPANIMENT_DEFAULT_VOLUME = 80; // Percent
+// One sound per General MIDI family (program / 8); volume in dB
+const GM_FAMILY_PRESETS = [
+    { name: 'Фортепіано', voice: 'Sampler', volume: -8 },
+    { name: 'Хроматичні ударні', voice: 'FMSynth', volume: -12, options: { harmonicity: 3.01, modulationIndex: 14, envelope: { attack: 0.001, decay: 0.8, sustain: 0, release: 0.8 } } },
+    { name: 'Орган', voice: 'Synth', volume: -16, options: { oscillator: { type: 'fatsine', count: 3, spread: 10 }, envelope: { attack: 0.02, decay: 0.1, sustain: 0.9, release: 0.1 } } },
+    { name: 'Гітара', voice: 'Synth', volume: -10, options: { oscillator: { type: 'triangle' }, envelope: { attack: 0.005, decay: 0.5, sustain: 0.1, release: 0.5 } } },
+    { name: 'Бас', voice: 'MonoSynth', volume: -10, options: { oscillator: { type: 'sawtooth' }, filter: { type: 'lowpass', Q: 2 }, filterEnvelope: { attack: 0.01, decay: 0.2, sustain: 0.3, baseFrequency: 80, octaves: 2.5 }, envelope: { attack: 0.01, decay: 0.3, sustain: 0.6, release: 0.3 } } },
+    { name: 'Струнні', voice: 'Synth', volume: -18, options: { oscillator: { type: 'fatsawtooth', count: 3, spread: 20 }, envelope: { attack: 0.3, decay: 0.2, sustain: 0.8, release: 1 } } },
+    { name: 'Ансамбль', voice: 'Synth', volume: -18, options: { oscillator: { type: 'fatsawtooth', count: 3, spread: 30 }, envelope: { attack: 0.4, decay: 0.2, sustain: 0.8, release: 1.2 } } },
+    { name: 'Мідні', voice: 'Synth', volume: -16, options: { oscillator: { type: 'sawtooth' }, envelope: { attack: 0.05, decay: 0.2, sustain: 0.7, release: 0.3 } } },
+    { name: 'Язичкові', voice: 'Synth', volume: -18, options: { oscillator: { type: 'square' }, envelope: { attack: 0.04, decay: 0.1, sustain: 0.8, release: 0.2 } } },
+    { name: 'Флейти', voice: 'Synth', volume: -12, options: { oscillator: { type: 'sine' }, envelope: { attack: 0.06, decay: 0.1, sustain: 0.9, release: 0.3 } } },
+    { name: 'Синт-соло', voice: 'Synth', volume: -18, options: { oscillator: { type: 'sawtooth' }, envelope: { attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.2 } } },
+    { name: 'Синт-пед', voice: 'Synth', volume: -16, options: { oscillator: { type: 'fattriangle', count: 3, spread: 30 }, envelope: { attack: 0.5, decay: 0.3, sustain: 0.8, release: 1.5 } } },
+    { name: 'Синт-ефекти', voice: 'AMSynth', volume: -14 },
+    { name: 'Етнічні', voice: 'FMSynth', volume: -12, options: { harmonicity: 2, modulationIndex: 6, envelope: { attack: 0.005, decay: 0.4, sustain: 0.1, release: 0.4 } } },
+    { name: 'Перкусія', voice: 'MembraneSynth', volume: -10 },
+    { name: 'Звукові ефекти', voice: 'Synth', volume: -16, options: { oscillator: { type: 'sine' } } }
+];
+const DRUM_KIT_PRESET = { name: 'Ударна установка', volume: -8 };
+let accompanimentTracks = [];    // { index, name, preset, percussion, notes, nextNote, volume, muted, solo, voice, output }
+let accompanimentHitTime = null; // Hit-line time scheduled up to (null = stopped)
+
+// Free Play Sound State (local monitoring of keys played outside lessons)
+const FREEPLAY_INSTRUMENTS = {
+    piano: { name: 'Фортепіано', voice: 'Sampler', volume: -5 },
+    epiano: { name: 'Електропіано', voice: 'FMSynth', volume: -10, options: { harmonicity: 3, modulationIndex: 8, envelope: { attack: 0.002, decay: 1.2, sustain: 0.2, release: 0.8 }, modulationEnvelope: { attack: 0.002, decay: 0.4, sustain: 0, release: 0.4 } } },
+    organ: GM_FAMILY_PRESETS[2],
+    strings: GM_FAMILY_PRESETS[5],
+    pad: GM_FAMILY_PRESETS[11]
+};
+// setup: 'off' (the keyboard makes its own sound), 'single', 'split' (lower sound left of splitPoint) or 'layer'
+let freeplaySound = { setup: 'single', upper: 'piano', lower: 'strings', splitPoint: 60 };
+let freeplayVoices = {};         // Instrument id -> Tone.js voice (created on first use; piano is pianoSynth)
+let soundingVoices = new Map();  // Note -> voices it was started on, so the release reaches the same ones
+let pendingFreeplayNotes = new Map(); // Note -> velocity of keys pressed while the sound was loading
 
 /**
  * Initialize Audio (Tone.js)
- * Must be called after user interaction
+ * Must be called from a user interaction (click or tap)
  */
 async function initAudio() {
     if (isAudioInitialized) return;
 
-    // Show loading status
-    const uploadStatus = document.getElementById('uploadStatus');
-    const originalText = uploadStatus ? uploadStatus.textContent : '';
-    if (uploadStatus) uploadStatus.textContent = 'Завантаження звуків піаніно...';
-
+    // Starting the context needs the gesture, so every call tries it (never a cached promise)
     await Tone.start();
     if (Tone.context.state !== 'running') {
         await Tone.context.resume();
     }
     console.log('🔊 Audio Context started');
 
-    // Use Sampler with Salamander Grand Piano samples
-    pianoSynth = new Tone.Sampler({
-        urls: {
-            "A0": "A0.mp3",
-            "C1": "C1.mp3",
-            "D#1": "Ds1.mp3",
-            "F#1": "Fs1.mp3",
-            "A1": "A1.mp3",
-            "C2": "C2.mp3",
-            "D#2": "Ds2.mp3",
-            "F#2": "Fs2.mp3",
-            "A2": "A2.mp3",
-            "C3": "C3.mp3",
-            "D#3": "Ds3.mp3",
-            "F#3": "Fs3.mp3",
-            "A3": "A3.mp3",
-            "C4": "C4.mp3",
-            "D#4": "Ds4.mp3",
-            "F#4": "Fs4.mp3",
-            "A4": "A4.mp3",
-            "C5": "C5.mp3",
-            "D#5": "Ds5.mp3",
-            "F#5": "Fs5.mp3",
-            "A5": "A5.mp3",
-            "C6": "C6.mp3",
-            "D#6": "Ds6.mp3",
-            "F#6": "Fs6.mp3",
-            "A6": "A6.mp3",
-            "C7": "C7.mp3",
-            "D#7": "Ds7.mp3",
-            "F#7": "Fs7.mp3",
-            "A7": "A7.mp3",
-            "C8": "C8.mp3"
-        },
-        release: 1,
-        baseUrl: "https://tonejs.github.io/audio/salamander/"
-    }).toDestination();
+    await loadAudio();
+}
 
-    // Set volume
-    pianoSynth.volume.value = -5;
+/**
+ * Load the piano sound once the audio context is running
+ */
+function loadAudio() {
+    if (isAudioInitialized) return Promise.resolve();
+
+    // Free play may ask again while the samples are still loading
+    if (!audioLoadPromise) {
+        audioLoadPromise = loadPianoSound().then(playPendingFreeplayNotes).catch(error => {
+            audioLoadPromise = null;
+            throw error;
+        });
+    }
+    return audioLoadPromise;
+}
 
-    // Wait for samples to load
-    await Tone.loaded();
+/**
+ * Load the first available sample set, or fall back to the synthesized piano
+ */
+async function loadPianoSound() {
+    updateAudioStatus('Звук: завантаження...');
+
+    // First complete sample set wins, else the most complete one (the sampler repitches
+    // across the gaps); without any samples fall back to the synthesized piano
+    let partial = null;
+    for (const source of PIANO_SAMPLE_SOURCES) {
+        const { buffers, missing } = await loadPianoSamples(source.baseUrl, source.urls);
+        if (missing === 0) {
+            pianoSampleBuffers = buffers;
+            console.log(`🎹 Piano samples loaded (${source.name})`);
+            break;
+        }
+        console.warn(`⚠️ Piano samples incomplete (${source.name}): ${missing} missing`);
+        if (!partial || Object.keys(buffers).length > Object.keys(partial).length) partial = buffers;
+    }
+    const incomplete = !pianoSampleBuffers && partial && Object.keys(partial).length > 0;
+    if (incomplete) pianoSampleBuffers = partial;
+
+    pianoSynth = createPianoVoice().toDestination();
+    pianoSynth.volume.value = -5;
 
-    console.log('🎹 Piano samples loaded!');
-    if (uploadStatus) uploadStatus.textContent = originalText || 'Готово';
+    if (incomplete) {
+        updateAudioStatus('Звук: піаніно (неповний)', 'error');
+    } else if (pianoSampleBuffers) {
+        updateAudioStatus('Звук: піаніно', 'success');
+    } else {
+        console.warn('⚠️ Using synthesized piano');
+        updateAudioStatus('Звук: синтезатор', 'error');
+    }
 
     isAudioInitialized = true;
 }
 
+/**
+ * Fetch and decode a sample set, reporting progress in the audio status
+ * @returns {Promise<Object>} { buffers: note -> AudioBuffer for the samples that loaded, missing }
+ */
+async function loadPianoSamples(baseUrl, urls) {
+    const entries = Object.entries(urls);
+    let loaded = 0;
+
+    const results = await Promise.allSettled(entries.map(async ([note, file]) => {
+        const response = await fetch(baseUrl + file);
+        if (!response.ok) throw new Error(`${response.status} ${file}`);
+
+        const buffer = await Tone.context.decodeAudioData(await response.arrayBuffer());
+        loaded++;
+        updateAudioStatus(`Звук: ${Math.round(loaded / entries.length * 100)}%`);
+        return [note, buffer];
+    }));
+
+    const buffers = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    return { buffers: Object.fromEntries(buffers), missing: entries.length - buffers.length };
+}
+
+/**
+ * Piano instrument from the loaded samples, or the synthesized piano without them
+ */
+function createPianoVoice() {
+    if (pianoSampleBuffers) {
+        return new Tone.Sampler({ urls: pianoSampleBuffers, release: 1 });
+    }
+    return new Tone.PolySynth(Tone.Synth, SYNTH_PIANO_OPTIONS);
+}
+
+/**
+ * Show piano sound loading progress / result next to the MIDI status,
+ * plus a warning while files for offline use are still missing
+ * @param {string} type - 'loading', 'success' or 'error' (fallback or incomplete sound)
+ */
+function updateAudioStatus(message, type = 'loading') {
+    audioStatusMessage = { message, type };
+
+    const audioStatus = document.getElementById('audioStatus');
+    const titles = [type === 'error' ? 'Семпли піаніно недоступні або неповні' : 'Звук піаніно'];
+    if (offlineFilesMissing > 0) {
+        titles.push(`Для роботи без інтернету не збережено файлів: ${offlineFilesMissing}. Спроба повториться при наступному запуску з інтернетом`);
+    }
+    audioStatus.style.display = 'flex';
+    audioStatus.classList.toggle('connected', type === 'success' && offlineFilesMissing === 0);
+    audioStatus.classList.toggle('error', type === 'error' || offlineFilesMissing > 0);
+    audioStatus.title = titles.join('\n');
+    document.getElementById('audioStatusText').textContent = offlineFilesMissing > 0 ? `${message} · офлайн ✗` : message;
+}
+
+/**
+ * Register the service worker that keeps the app, libraries and samples available offline.
+ * On every start it retries the files it couldn't cache and reports how many are still missing.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (!event.data || event.data.type !== 'offlineFiles') return;
+
+        offlineFilesMissing = event.data.missing;
+        if (offlineFilesMissing > 0) console.warn(`⚠️ Not cached for offline use: ${offlineFilesMissing} files`);
+        else console.log('📦 Offline mode ready');
+        if (audioStatusMessage || offlineFilesMissing > 0) {
+            updateAudioStatus(...(audioStatusMessage ? [audioStatusMessage.message, audioStatusMessage.type] : ['Звук']));
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => registration.active.postMessage('checkOfflineFiles'))
+        .catch(error => console.warn('⚠️ Service worker registration failed:', error));
+}
+
 /**
  * Play a note sound if audio is initialized
  * @param {number} midiNumber - MIDI note number
@@ -120,12 +457,9 @@ async function initAudio() {
 function playNoteSound(midiNumber, durationMs, isLeftHand = false) {
     if (!isAudioInitialized || !pianoSynth) return;
 
-    // Convert MIDI to Frequency or Note Name
-    const noteName = Tone.Frequency(midiNumber, "midi").toNote();
-    const durationSec = durationMs / 1000;
-
-    // Play Browser Audio
-    pianoSynth.triggerAttackRelease(noteName, durationSec);
+    // Play Browser Audio (released through the sustain pedal)
+    samplerNoteOn(midiNumber);
+    setTimeout(() => samplerNoteOff(midiNumber), durationMs);
 
     // Play Physical Piano (MIDI Output)
     if (midiOutput) {
@@ -137,6 +471,89 @@ function playNoteSound(midiNumber, durationMs, isLeftHand = false) {
     }
 }
 
+/**
+ * Start a note in the sampler
+ * @param {number} midiNumber - MIDI note number
+ * @param {number} velocity - Velocity (0-127)
+ */
+function samplerNoteOn(midiNumber, velocity = 127) {
+    if (!isAudioInitialized || !pianoSynth) return;
+
+    // Soft pedal (una corda) takes some of the attack away
+    const gain = (velocity / 127) * (softPedalDown ? 0.7 : 1);
+    const noteName = Tone.Frequency(midiNumber, "midi").toNote();
+    const voices = getNoteVoices(midiNumber);
+
+    // Re-struck after a sound change: don't leave the old sound hanging
+    (soundingVoices.get(midiNumber) || []).forEach(voice => {
+        if (!voices.includes(voice)) voice.triggerRelease(noteName);
+    });
+
+    sustainedNotes.delete(midiNumber);
+    soundingVoices.set(midiNumber, voices);
+    voices.forEach(voice => voice.triggerAttack(noteName, undefined, gain));
+}
+
+/**
+ * Release a note in the sampler, or keep it ringing while the sustain pedal is down
+ */
+function samplerNoteOff(midiNumber) {
+    if (!isAudioInitialized || !pianoSynth) return;
+
+    if (sustainPedalDown || lessonSustainDown) {
+        sustainedNotes.add(midiNumber);
+        return;
+    }
+    const noteName = Tone.Frequency(midiNumber, "midi").toNote();
+    (soundingVoices.get(midiNumber) || [pianoSynth]).forEach(voice => voice.triggerRelease(noteName));
+    soundingVoices.delete(midiNumber);
+}
+
+/**
+ * Release every note the pedal was holding once no pedal (live or lesson) is down
+ */
+function releaseSustainedNotes() {
+    if (sustainPedalDown || lessonSustainDown) return;
+
+    const notesToRelease = Array.from(sustainedNotes);
+    sustainedNotes.clear();
+    notesToRelease.forEach(note => samplerNoteOff(note));
+}
+
+/**
+ * Press or lift the sustain pedal: lifting releases every note it was holding
+ */
+function setSustainPedal(isDown) {
+    if (isDown === sustainPedalDown) return;
+    sustainPedalDown = isDown;
+
+    if (isDown) {
+        pedalHistory.push({ start: Date.now(), end: null });
+    } else {
+        const openSegment = pedalHistory[pedalHistory.length - 1];
+        if (openSegment && openSegment.end === null) openSegment.end = Date.now();
+
+        releaseSustainedNotes();
+    }
+
+    updatePedalIndicator();
+    checkPedalProgress();
+}
+
+/**
+ * Light up the on-screen pedals
+ */
+function updatePedalIndicator() {
+    document.getElementById('sustainPedal').classList.toggle('active', sustainPedalDown);
+    document.getElementById('sostenutoPedal').classList.toggle('active', sostenutoPedalDown);
+    document.getElementById('softPedal').classList.toggle('active', softPedalDown);
+
+    // Show which way the lesson wants the sustain pedal
+    const sustainPedal = document.getElementById('sustainPedal');
+    sustainPedal.classList.toggle('expect-down', waitingPedal === true);
+    sustainPedal.classList.toggle('expect-up', waitingPedal === false);
+}
+
 /**
  * Send MIDI Note to external device
  * @param {number} note - MIDI note number
@@ -168,7 +585,343 @@ function sendMidiNote(note, velocity, durationMs, channel = 0) {
     }, durationMs);
 }
 
-// Piano keyboard configuration
+/**
+ * Instrument for an accompaniment track, routed through its own volume node
+ */
+function createAccompanimentVoice(track) {
+    const output = new Tone.Volume(track.preset.volume).toDestination();
+
+    const voice = track.percussion ? createDrumKit(output) : createInstrumentVoice(track.preset).connect(output);
+
+    track.voice = voice;
+    track.output = output;
+    applyAccompanimentMix();
+}
+
+/**
+ * General MIDI drum kit: kick, snare, hi-hat/cymbals and toms from Tone.js drum synths
+ */
+function createDrumKit(output) {
+    const drums = {
+        kick: new Tone.MembraneSynth({ octaves: 6, pitchDecay: 0.05 }).connect(output),
+        snare: new Tone.NoiseSynth({ envelope: { attack: 0.001, decay: 0.15, sustain: 0 } }).connect(output),
+        cymbal: new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.1, release: 0.05 }, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5 }).connect(output),
+        tom: new Tone.MembraneSynth({ octaves: 2, pitchDecay: 0.1 }).connect(output)
+    };
+    const CYMBALS = [42, 44, 46, 49, 51, 52, 53, 55, 57, 59];
+    const lastHit = {};
+
+    return {
+        play(note, time, velocity) {
+            let drum = 'tom';
+            if (note === 35 || note === 36) drum = 'kick';
+            else if (note >= 37 && note <= 40) drum = 'snare';
+            else if (CYMBALS.includes(note)) drum = 'cymbal';
+
+            // One-voice drums can't start twice at the same instant
+            const start = Math.max(time, (lastHit[drum] || 0) + 0.001);
+            lastHit[drum] = start;
+
+            if (drum === 'kick') drums.kick.triggerAttackRelease('C1', 0.2, start, velocity);
+            else if (drum === 'snare') drums.snare.triggerAttackRelease(0.15, start, velocity);
+            else if (drum === 'cymbal') drums.cymbal.triggerAttackRelease(200, note >= 49 ? 0.5 : 0.05, start, velocity * 0.5);
+            else drums.tom.triggerAttackRelease(Tone.Frequency(note - 12, 'midi').toFrequency(), 0.3, start, velocity);
+        },
+        releaseAll() {},
+        dispose() {
+            Object.values(drums).forEach(drum => drum.dispose());
+        }
+    };
+}
+
+/**
+ * Apply volume, mute and solo of every accompaniment track
+ */
+function applyAccompanimentMix() {
+    const anySolo = accompanimentTracks.some(track => track.solo);
+    accompanimentTracks.forEach(track => {
+        if (!track.output) return;
+        track.output.volume.value = track.preset.volume + 20 * Math.log10(Math.max(track.volume, 1) / 100);
+        track.output.mute = track.muted || track.volume === 0 || (anySolo && !track.solo);
+    });
+}
+
+/**
+ * Release everything the accompaniment is playing; the next frame starts again from the lesson position
+ */
+function stopAccompaniment() {
+    accompanimentTracks.forEach(track => {
+        if (track.voice) track.voice.releaseAll();
+    });
+    accompanimentHitTime = null;
+}
+
+/**
+ * Every frame: schedule accompaniment notes just ahead of the hit line.
+ * Follows the lesson clock, so pauses, seeks, loops and tempo changes carry over.
+ */
+function updateAccompaniment() {
+    const canPlay = lessonActive && isLessonMode() && !lessonUserPaused && isAudioInitialized;
+    if (!canPlay || accompanimentTracks.length === 0) {
+        if (accompanimentHitTime !== null) stopAccompaniment();
+        return;
+    }
+
+    // Waiting for the student: hold the position and let ringing notes finish
+    if (lessonPaused) return;
+
+    const hitLineTime = getLessonElapsedTime() + HIT_LINE_LEAD_MS;
+
+    // Seek, rewind or loop jump: continue from the new position
+    if (accompanimentHitTime === null || hitLineTime < accompanimentHitTime || hitLineTime > accompanimentHitTime + 1000) {
+        stopAccompaniment();
+        accompanimentTracks.forEach(track => {
+            const next = track.notes.findIndex(note => note.timeMs >= hitLineTime);
+            track.nextNote = next === -1 ? track.notes.length : next;
+        });
+    }
+    accompanimentHitTime = hitLineTime;
+
+    // In lesson mode don't run ahead of the chord the student has to play next
+    let horizon = hitLineTime + ACCOMPANIMENT_LOOKAHEAD_MS * lessonTempo;
+    const nextLessonEvent = currentLessonEvents[currentEventIndex];
+    if (currentMode === 'lesson' && nextLessonEvent) horizon = Math.min(horizon, Math.max(hitLineTime, nextLessonEvent.timeMs));
+
+    const now = Tone.now();
+    accompanimentTracks.forEach(track => {
+        if (!track.voice) createAccompanimentVoice(track);
+
+        while (track.nextNote < track.notes.length && track.notes[track.nextNote].timeMs < horizon) {
+            const note = track.notes[track.nextNote++];
+            const time = now + Math.max(0, note.timeMs - hitLineTime) / lessonTempo / 1000;
+            const velocity = note.velocity / 127;
+
+            if (track.percussion) {
+                track.voice.play(note.note, time, velocity);
+            } else if (track.voice.loaded !== false) { // Piano samples may still be loading
+                const duration = Math.max(0.05, note.durationMs / lessonTempo / 1000);
+                track.voice.triggerAttackRelease(Tone.Frequency(note.note, 'midi').toNote(), duration, time, velocity);
+            }
+        }
+    });
+}
+
+/**
+ * Build the accompaniment from the tracks mapped to it, replacing the previous song's instruments
+ * @param {Array} tracks - Parsed MIDI tracks
+ * @param {Object} mapping - trackIndex -> assignment
+ * @param {Function} toLessonMs - MIDI time (seconds) -> lesson time (ms)
+ */
+function setupAccompaniment(tracks, mapping, toLessonMs) {
+    stopAccompaniment();
+    accompanimentTracks.forEach(track => {
+        if (track.voice) track.voice.dispose();
+        if (track.output) track.output.dispose();
+    });
+
+    accompanimentTracks = [];
+    tracks.forEach((track, index) => {
+        if (mapping[index] !== 'accompaniment' || track.notes.length === 0) return;
+
+        const percussion = track.instrument.percussion || track.channel === 9;
+        accompanimentTracks.push({
+            index,
+            name: track.name || `Трек ${index + 1}`,
+            preset: percussion ? DRUM_KIT_PRESET : GM_FAMILY_PRESETS[Math.floor(track.instrument.number / 8)],
+            percussion,
+            notes: track.notes.map(note => ({
+                note: note.midi,
+                timeMs: toLessonMs(note.time),
+                durationMs: Math.round(note.duration * 1000),
+                velocity: Math.round(note.velocity * 127)
+            })),
+            nextNote: 0,
+            volume: ACCOMPANIMENT_DEFAULT_VOLUME,
+            muted: false,
+            solo: false,
+            voice: null,
+            output: null
+        });
+    });
+
+    updateMixerButton();
+}
+
+/**
+ * The mixer button is there while a lesson with accompaniment is loaded
+ */
+function updateMixerButton() {
+    const visible = accompanimentTracks.length > 0 && isLessonMode();
+    document.getElementById('mixerBtn').style.display = visible ? 'flex' : 'none';
+}
+
+/**
+ * Restore the saved volume / mute / solo of a song's accompaniment tracks
+ */
+async function loadAccompanimentMix(fileName) {
+    const songSettings = await getSongSettings(fileName);
+    if (lessonFileName !== fileName || !songSettings || !songSettings.mixer) return;
+
+    accompanimentTracks.forEach(track => {
+        Object.assign(track, songSettings.mixer[track.index]);
+    });
+    applyAccompanimentMix();
+}
+
+/**
+ * Remember the mixer for this song
+ */
+function saveAccompanimentMix() {
+    if (!lessonFileName) return;
+
+    const mixer = {};
+    accompanimentTracks.forEach(track => {
+        mixer[track.index] = { volume: track.volume, muted: track.muted, solo: track.solo };
+    });
+    saveSongSettings(lessonFileName, { mixer });
+}
+
+/**
+ * Show the accompaniment mixer: volume, mute and solo per track
+ */
+function showMixerUI() {
+    const list = document.getElementById('mixerList');
+    list.innerHTML = '';
+
+    accompanimentTracks.forEach(track => {
+        const row = document.createElement('div');
+        row.className = 'mixer-track';
+        row.innerHTML = `
+            <span class="track-info-main">
+                <span class="track-name"></span>
+                <span class="track-meta">${track.preset.name} · ${track.notes.length} нот</span>
+            </span>
+            <input type="range" class="tempo-slider" min="0" max="100" step="5" value="${track.volume}" title="Гучність">
+            <button class="mixer-btn ${track.muted ? 'active' : ''}" title="Вимкнути звук">M</button>
+            <button class="mixer-btn ${track.solo ? 'active' : ''}" title="Соло">S</button>
+        `;
+        row.querySelector('.track-name').textContent = track.name; // Track names come from the MIDI file
+        const [muteBtn, soloBtn] = row.querySelectorAll('button');
+        const changeMix = () => {
+            applyAccompanimentMix();
+            saveAccompanimentMix();
+        };
+        row.querySelector('input').addEventListener('input', (event) => {
+            track.volume = parseInt(event.target.value);
+            changeMix();
+        });
+        muteBtn.addEventListener('click', () => {
+            track.muted = !track.muted;
+            muteBtn.classList.toggle('active', track.muted);
+            changeMix();
+        });
+        soloBtn.addEventListener('click', () => {
+            track.solo = !track.solo;
+            soloBtn.classList.toggle('active', track.solo);
+            changeMix();
+        });
+        list.appendChild(row);
+    });
+
+    document.getElementById('mixerModal').classList.add('active');
+}
+
+/**
+ * Tone.js instrument for a sound preset (piano presets share the loaded samples)
+ */
+function createInstrumentVoice(preset) {
+    if (preset.voice === 'Sampler') return createPianoVoice();
+    return new Tone.PolySynth(Tone[preset.voice], preset.options);
+}
+
+/**
+ * Instruments that sound a note played in free play (one, or two for a layer)
+ * @returns {Array} Instrument ids from FREEPLAY_INSTRUMENTS
+ */
+function getFreeplayInstruments(midiNumber) {
+    const { setup, upper, lower } = freeplaySound;
+    if (setup === 'layer') return upper === lower ? [upper] : [upper, lower];
+    if (setup === 'split') return [midiNumber < freeplaySound.splitPoint ? lower : upper];
+    return [upper];
+}
+
+/**
+ * Voices a note should play on: the free play setup, or the piano everywhere else
+ */
+function getNoteVoices(midiNumber) {
+    if (currentMode !== 'freeplay' || freeplaySound.setup === 'off') return [pianoSynth];
+
+    return getFreeplayInstruments(midiNumber).map(id => {
+        if (id === 'piano') return pianoSynth;
+        if (!freeplayVoices[id]) {
+            const preset = FREEPLAY_INSTRUMENTS[id];
+            freeplayVoices[id] = createInstrumentVoice(preset).toDestination();
+            freeplayVoices[id].volume.value = preset.volume;
+        }
+        return freeplayVoices[id];
+    });
+}
+
+/**
+ * Play the free play keys that were pressed while the sound was loading and are still held
+ */
+function playPendingFreeplayNotes() {
+    if (currentMode === 'freeplay' && freeplaySound.setup !== 'off') {
+        pendingFreeplayNotes.forEach((velocity, note) => samplerNoteOn(note, velocity));
+    }
+    pendingFreeplayNotes.clear();
+}
+
+/**
+ * Silence every free play instrument (mode or setup change, stopped playback)
+ */
+function releaseFreeplayVoices() {
+    soundingVoices.forEach((voices, note) => {
+        voices.forEach(voice => voice.triggerRelease(Tone.Frequency(note, "midi").toNote()));
+    });
+    Object.values(freeplayVoices).forEach(voice => voice.releaseAll());
+    soundingVoices.clear();
+    sustainedNotes.clear();
+}
+
+/**
+ * Reflect the free play sound setup in the modal and on the keyboard
+ */
+function updateFreeplaySoundUI() {
+    const { setup, upper, lower, splitPoint: soundSplit } = freeplaySound;
+
+    document.getElementById('soundSetupSelect').value = setup;
+    document.getElementById('soundUpperSelect').value = upper;
+    document.getElementById('soundLowerSelect').value = lower;
+    document.getElementById('soundSplitSlider').value = soundSplit;
+    document.getElementById('soundSplitValue').textContent = getNoteNameFromMidi(soundSplit);
+
+    document.getElementById('soundUpperRow').style.display = setup === 'off' ? 'none' : 'flex';
+    document.getElementById('soundLowerRow').style.display = setup === 'split' || setup === 'layer' ? 'flex' : 'none';
+    document.getElementById('soundSplitRow').style.display = setup === 'split' ? 'flex' : 'none';
+    document.getElementById('soundUpperLabel').textContent = { single: 'Звук', split: 'Праворуч', layer: 'Перший звук' }[setup] || 'Звук';
+    document.getElementById('soundLowerLabel').textContent = setup === 'split' ? 'Ліворуч' : 'Другий звук';
+    document.getElementById('soundBtn').classList.toggle('active', setup !== 'off');
+
+    // Mark the first key of the right-hand sound
+    pianoKeyboard.querySelectorAll('.piano-key.sound-split').forEach(key => key.classList.remove('sound-split'));
+    if (setup === 'split') {
+        const key = pianoKeyboard.querySelector(`[data-note="${soundSplit}"]`);
+        if (key) key.classList.add('sound-split');
+    }
+}
+
+/**
+ * Change part of the free play sound setup and remember it
+ */
+function setFreeplaySound(changes) {
+    releaseFreeplayVoices();
+    freeplaySound = { ...freeplaySound, ...changes };
+    saveSetting('freeplaySound', freeplaySound);
+    updateFreeplaySoundUI();
+}
+
+// Piano keyboard configuration (startNote/endNote follow the chosen keyboard size)
 const PIANO_CONFIG = {
     startNote: 21,  // A0
     endNote: 108,   // C8
@@ -177,8 +930,30 @@ const PIANO_CONFIG = {
     blackKeyWidth: 18
 };
 
+// Standard keyboard sizes: key count -> range
+const KEYBOARD_SIZES = {
+    88: { startNote: 21, endNote: 108 }, // A0–C8
+    76: { startNote: 28, endNote: 103 }, // E1–G7
+    61: { startNote: 36, endNote: 96 },  // C2–C7
+    49: { startNote: 36, endNote: 84 }   // C2–C6
+};
+
+// Keyboard range detection (lowest/highest keys pressed)
+let keyboardDetection = null; // { low, high } while detecting, else null
+
+// Keyboard Layout State: one geometry shared by the DOM keys and the piano roll
+const BLACK_KEY_RATIO = 0.72;         // Black key width relative to a white key
+const MIN_VISIBLE_WHITE_KEYS = 8;     // Maximum zoom
+const COMPACT_KEY_WIDTH = 18;         // Hide key labels below this white key width
+let keyboardLayout = { keys: new Map(), canvasOffset: 0 }; // note -> { left, width } in keyboard pixels
+let viewStart = 0;                    // First visible white key (fractional, from PIANO_CONFIG.startNote)
+let viewWhiteKeys = null;             // White keys across the container (null = whole keyboard)
+let zoomMode = 'full';                // 'full' | 'lesson' | 'manual'
+let pinchGesture = null;              // { distance, centerX, viewStart, viewWhiteKeys } during a two-finger pinch
+
 // Hand Control Configuration
-const SPLIT_POINT = 60; // Middle C (C4) divides Left vs Right hand
+const DEFAULT_SPLIT_POINT = 60; // Middle C (C4) divides Left vs Right hand
+let splitPoint = DEFAULT_SPLIT_POINT; // User-adjustable in the track mapper
 let leftHandActive = true;
 let rightHandActive = true;
 
@@ -210,15 +985,115 @@ function isBlackKey(midiNumber) {
     return BLACK_KEY_PATTERN[midiNumber % 12];
 }
 
+/**
+ * Check whether a note exists on the student's keyboard
+ */
+function isNoteOnKeyboard(midiNumber) {
+    return midiNumber >= PIANO_CONFIG.startNote && midiNumber <= PIANO_CONFIG.endNote;
+}
+
+/**
+ * Shift a note by octaves until it fits on the keyboard
+ */
+function foldNoteIntoRange(midiNumber) {
+    let note = midiNumber;
+    while (note < PIANO_CONFIG.startNote) note += 12;
+    while (note > PIANO_CONFIG.endNote) note -= 12;
+    return note;
+}
+
+/**
+ * Switch the keyboard to a new range and rebuild the keys
+ * @param {number} startNote - Lowest key (MIDI)
+ * @param {number} endNote - Highest key (MIDI)
+ */
+function setKeyboardRange(startNote, endNote) {
+    // The layout starts and ends on white keys
+    const start = isBlackKey(startNote) ? startNote - 1 : startNote;
+    const end = isBlackKey(endNote) ? endNote + 1 : endNote;
+
+    // Same layout (e.g. detection seeing another key inside it): rebuilding would drop the held keys
+    if (start === PIANO_CONFIG.startNote && end === PIANO_CONFIG.endNote) {
+        updateKeyboardSizeUI();
+        return;
+    }
+
+    PIANO_CONFIG.startNote = start;
+    PIANO_CONFIG.endNote = end;
+    PIANO_CONFIG.totalKeys = end - start + 1;
+    saveSetting('keyboardRange', { startNote: start, endNote: end });
+
+    console.log(`🎹 Keyboard: ${PIANO_CONFIG.totalKeys} keys (${getNoteNameFromMidi(start)}–${getNoteNameFromMidi(end)})`);
+    viewWhiteKeys = null;
+    zoomMode = 'full';
+    generatePianoKeyboard();
+    noteHistory = noteHistory.filter(note => isNoteOnKeyboard(note.note));
+    updateKeyboardSizeUI();
+    updateFreeplaySoundUI();
+}
+
+/**
+ * Restore the keyboard range saved in settings
+ */
+function loadKeyboardRange() {
+    const saved = loadSettings().keyboardRange;
+    if (!saved) return;
+
+    PIANO_CONFIG.startNote = saved.startNote;
+    PIANO_CONFIG.endNote = saved.endNote;
+    PIANO_CONFIG.totalKeys = saved.endNote - saved.startNote + 1;
+}
+
+/**
+ * Detection: widen the detected range with every key pressed and apply the
+ * smallest standard size that covers it
+ */
+function detectKeyboardRange(noteNumber) {
+    if (!keyboardDetection) return;
+
+    keyboardDetection.low = Math.min(keyboardDetection.low, noteNumber);
+    keyboardDetection.high = Math.max(keyboardDetection.high, noteNumber);
+    const { low, high } = keyboardDetection;
+    if (high - low < 12) {
+        updateKeyboardSizeUI();
+        return;
+    }
+
+    // Prefer a standard layout that contains both keys; otherwise keep its size from the lowest key
+    const sizes = Object.keys(KEYBOARD_SIZES).map(Number).sort((a, b) => a - b);
+    const size = sizes.find(keys => keys > high - low) || 88;
+    const range = KEYBOARD_SIZES[size];
+    if (range.startNote <= low && range.endNote >= high) {
+        setKeyboardRange(range.startNote, range.endNote);
+    } else {
+        setKeyboardRange(low, Math.min(low + range.endNote - range.startNote, 127));
+    }
+}
+
+/**
+ * Sync the keyboard size controls in the device panel
+ */
+function updateKeyboardSizeUI() {
+    const sizeSelect = document.getElementById('keyboardSizeSelect');
+    if (!sizeSelect) return;
+
+    const preset = Object.keys(KEYBOARD_SIZES).find(keys =>
+        KEYBOARD_SIZES[keys].startNote === PIANO_CONFIG.startNote && KEYBOARD_SIZES[keys].endNote === PIANO_CONFIG.endNote);
+    sizeSelect.value = preset || 'custom';
+
+    const rangeLabel = `${getNoteNameFromMidi(PIANO_CONFIG.startNote)}–${getNoteNameFromMidi(PIANO_CONFIG.endNote)}`;
+    document.getElementById('keyboardRangeInfo').textContent = keyboardDetection
+        ? `Натисніть найнижчу та найвищу клавіші · ${rangeLabel}`
+        : rangeLabel;
+    document.getElementById('detectKeyboardBtn').classList.toggle('active', Boolean(keyboardDetection));
+}
+
 /**
  * Generate piano keyboard
  */
 function generatePianoKeyboard() {
     pianoKeyboard.innerHTML = '';
 
-    let whiteKeyIndex = 0;
-    const whiteKeyWidth = 25;
-
     for (let i = PIANO_CONFIG.startNote; i <= PIANO_CONFIG.endNote; i++) {
         const isBlack = isBlackKey(i);
         const noteName = getNoteNameFromMidi(i);
@@ -234,40 +1109,206 @@ function generatePianoKeyboard() {
         label.textContent = noteName;
         key.appendChild(label);
 
-        if (isBlack) {
-            // Position black keys between white keys
-            const prevNoteIndex = i - 1;
-            const prevIsBlack = isBlackKey(prevNoteIndex);
-
-            // Calculate position based on the white key to the left
-            const leftPosition = (whiteKeyIndex * whiteKeyWidth) - 8;
-            key.style.left = `${leftPosition}px`;
-        } else {
-            // White keys are positioned normally
-            whiteKeyIndex++;
-        }
-
-        // Add click event for future interactivity
-        key.addEventListener('mousedown', () => activateKey(i));
+        // Add click event for future interactivity (a click is a gesture, so it may start the audio)
+        key.addEventListener('mousedown', () => {
+            if (currentMode === 'freeplay' && freeplaySound.setup !== 'off') initAudio();
+            activateKey(i);
+        });
         key.addEventListener('mouseup', () => deactivateKey(i));
         key.addEventListener('mouseleave', () => deactivateKey(i));
 
         pianoKeyboard.appendChild(key);
     }
+
+    // Keys are positioned by the layout engine
+    computeKeyboardLayout();
+    layoutPianoKeys();
 }
 
 /**
- * Activate a piano key visually and trigger note logic
+ * Count white keys from PIANO_CONFIG.startNote up to (not including) a note; negative below the keyboard
  */
-function activateKey(midiNumber, velocity = 90, fromMIDI = false) {
-    const key = pianoKeyboard.querySelector(`[data-note="${midiNumber}"]`);
-    if (key) {
-        key.classList.add('active');
-        activeNotes.add(midiNumber);
-
-        // If not from MIDI (i.e., from mouse click), trigger the same logic
-        if (!fromMIDI) {
-            handleNoteOn(midiNumber, velocity);
+function getWhiteKeyIndex(midiNumber) {
+    let count = 0;
+    if (midiNumber >= PIANO_CONFIG.startNote) {
+        for (let i = PIANO_CONFIG.startNote; i < midiNumber; i++) {
+            if (!isBlackKey(i)) count++;
+        }
+    } else {
+        for (let i = midiNumber; i < PIANO_CONFIG.startNote; i++) {
+            if (!isBlackKey(i)) count--;
+        }
+    }
+    return count;
+}
+
+/**
+ * Layout engine: scale the keys to the container width for the current zoom
+ * and store the geometry of every MIDI note (also those outside the keyboard)
+ */
+function computeKeyboardLayout() {
+    const totalWhiteKeys = getWhiteKeyIndex(PIANO_CONFIG.endNote) + 1;
+    const containerWidth = pianoKeyboard.clientWidth || totalWhiteKeys * 25;
+
+    const visibleWhiteKeys = Math.max(MIN_VISIBLE_WHITE_KEYS, Math.min(totalWhiteKeys, viewWhiteKeys || totalWhiteKeys));
+    viewWhiteKeys = viewWhiteKeys === null ? null : visibleWhiteKeys;
+    viewStart = Math.max(0, Math.min(totalWhiteKeys - visibleWhiteKeys, viewStart));
+    if (viewWhiteKeys === null) viewStart = 0;
+
+    const whiteKeyWidth = containerWidth / visibleWhiteKeys;
+    const blackKeyWidth = whiteKeyWidth * BLACK_KEY_RATIO;
+    const scrollOffset = viewStart * whiteKeyWidth;
+    PIANO_CONFIG.whiteKeyWidth = whiteKeyWidth;
+    PIANO_CONFIG.blackKeyWidth = blackKeyWidth;
+
+    keyboardLayout.keys.clear();
+    for (let note = 0; note <= 127; note++) {
+        const boundary = getWhiteKeyIndex(note) * whiteKeyWidth - scrollOffset;
+        keyboardLayout.keys.set(note, isBlackKey(note)
+            ? { left: boundary - blackKeyWidth / 2, width: blackKeyWidth }
+            : { left: boundary, width: whiteKeyWidth });
+    }
+
+    // The canvas and the keyboard may not start at the same x: measure the difference
+    const wrapper = document.querySelector('.piano-roll-wrapper');
+    keyboardLayout.canvasOffset = wrapper
+        ? pianoKeyboard.getBoundingClientRect().left - wrapper.getBoundingClientRect().left
+        : 0;
+}
+
+/**
+ * Apply the computed geometry to the DOM keys
+ */
+function layoutPianoKeys() {
+    pianoKeyboard.querySelectorAll('.piano-key').forEach(key => {
+        const geometry = keyboardLayout.keys.get(parseInt(key.dataset.note));
+        key.style.left = `${geometry.left}px`;
+        // White keys overlap by one border so neighbours share a single line
+        key.style.width = `${key.classList.contains('white') ? geometry.width + 1 : geometry.width}px`;
+    });
+    pianoKeyboard.classList.toggle('compact', PIANO_CONFIG.whiteKeyWidth < COMPACT_KEY_WIDTH);
+    updateZoomUI();
+}
+
+/**
+ * Zoom so that a range of white keys fills the container
+ * @param {number|null} startWhiteKey - First visible white key (fractional), null for the whole keyboard
+ * @param {number} whiteKeys - Number of visible white keys
+ * @param {string} mode - 'full' | 'lesson' | 'manual'
+ */
+function setKeyboardZoom(startWhiteKey, whiteKeys, mode = 'manual') {
+    viewStart = startWhiteKey === null ? 0 : startWhiteKey;
+    viewWhiteKeys = startWhiteKey === null ? null : whiteKeys;
+    zoomMode = mode;
+    computeKeyboardLayout();
+    layoutPianoKeys();
+}
+
+/**
+ * Zoom onto the keys the loaded lesson uses (with a little margin)
+ */
+function zoomToLesson() {
+    const notes = (currentLessonEvents || [])
+        .filter(event => event.action === 'NoteOn' && isNoteOnKeyboard(event.note))
+        .map(event => event.note);
+    if (notes.length === 0) return;
+
+    const first = getWhiteKeyIndex(Math.min(...notes)) - 1;
+    const last = getWhiteKeyIndex(Math.max(...notes)) + 2;
+    setKeyboardZoom(first, last - first, 'lesson');
+}
+
+/**
+ * Zoom in/out around a point of the keyboard
+ * @param {number} factor - >1 zooms in, <1 zooms out
+ * @param {number} anchorX - Keyboard x that stays in place
+ */
+function zoomKeyboardAt(factor, anchorX) {
+    const totalWhiteKeys = getWhiteKeyIndex(PIANO_CONFIG.endNote) + 1;
+    const currentWhiteKeys = viewWhiteKeys || totalWhiteKeys;
+    const anchorWhiteKey = viewStart + anchorX / PIANO_CONFIG.whiteKeyWidth;
+    const whiteKeys = Math.max(MIN_VISIBLE_WHITE_KEYS, Math.min(totalWhiteKeys, currentWhiteKeys / factor));
+
+    if (whiteKeys >= totalWhiteKeys) {
+        setKeyboardZoom(null, totalWhiteKeys, 'full');
+        return;
+    }
+    const start = anchorWhiteKey - (anchorX / pianoKeyboard.clientWidth) * whiteKeys;
+    setKeyboardZoom(start, whiteKeys);
+}
+
+/**
+ * Scroll the zoomed keyboard sideways
+ * @param {number} deltaX - Pixels to pan
+ */
+function panKeyboard(deltaX) {
+    if (viewWhiteKeys === null) return;
+    setKeyboardZoom(viewStart + deltaX / PIANO_CONFIG.whiteKeyWidth, viewWhiteKeys);
+}
+
+/**
+ * Wheel on the roll or keyboard: ctrl+wheel (and trackpad pinch) zooms, horizontal wheel pans
+ */
+function onKeyboardWheel(event) {
+    const anchorX = event.clientX - pianoKeyboard.getBoundingClientRect().left;
+
+    if (event.ctrlKey) {
+        event.preventDefault();
+        zoomKeyboardAt(Math.exp(-event.deltaY * 0.005), anchorX);
+    } else if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+        event.preventDefault();
+        panKeyboard(event.shiftKey ? event.deltaY : event.deltaX);
+    }
+}
+
+/**
+ * Two-finger pinch on touch screens: zoom around the fingers' centre
+ */
+function onKeyboardTouch(event) {
+    if (event.touches.length !== 2) {
+        pinchGesture = null;
+        return;
+    }
+
+    const [a, b] = event.touches;
+    const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+    const centerX = (a.clientX + b.clientX) / 2 - pianoKeyboard.getBoundingClientRect().left;
+    event.preventDefault();
+
+    if (event.type === 'touchstart' || !pinchGesture) {
+        pinchGesture = { distance, centerX };
+        return;
+    }
+
+    zoomKeyboardAt(distance / pinchGesture.distance, centerX);
+    panKeyboard(pinchGesture.centerX - centerX);
+    pinchGesture = { distance, centerX };
+}
+
+/**
+ * Sync the zoom button with the zoom state
+ */
+function updateZoomUI() {
+    const zoomBtn = document.getElementById('zoomFitBtn');
+    if (!zoomBtn) return;
+
+    zoomBtn.classList.toggle('active', zoomMode !== 'full');
+    zoomBtn.title = zoomMode === 'full' ? 'Наблизити до нот уроку' : 'Показати всю клавіатуру';
+}
+
+/**
+ * Activate a piano key visually and trigger note logic
+ */
+function activateKey(midiNumber, velocity = 90, fromMIDI = false) {
+    const key = pianoKeyboard.querySelector(`[data-note="${midiNumber}"]`);
+    if (key) {
+        key.classList.add('active');
+        activeNotes.add(midiNumber);
+
+        // If not from MIDI (i.e., from mouse click), trigger the same logic
+        if (!fromMIDI) {
+            recordMidiEvent({ type: 'noteOn', note: midiNumber, velocity: velocity });
+            handleNoteOn(midiNumber, velocity);
         }
     }
 }
@@ -278,10 +1319,15 @@ function activateKey(midiNumber, velocity = 90, fromMIDI = false) {
 function deactivateKey(midiNumber, fromMIDI = false) {
     const key = pianoKeyboard.querySelector(`[data-note="${midiNumber}"]`);
     if (key) {
+        // mouseleave also fires for keys that were never pressed
+        const activeNotesBefore = activeNotes.has(midiNumber);
         key.classList.remove('active');
         activeNotes.delete(midiNumber);
 
         // If not from MIDI (i.e., from mouse release), trigger the same logic
+        if (!fromMIDI && activeNotesBefore) {
+            recordMidiEvent({ type: 'noteOff', note: midiNumber, velocity: 0 });
+        }
         if (!fromMIDI) {
             handleNoteOff(midiNumber);
         }
@@ -310,44 +1356,33 @@ function resizePianoRoll() {
     pianoRollCanvas.height = wrapper.offsetHeight * dpr;
 
     pianoRollCtx.scale(dpr, dpr);
+
+    // Keep the roll lanes on top of the keys at the new size
+    computeKeyboardLayout();
+    layoutPianoKeys();
 }
 
 /**
- * Get X position for a note on the piano roll
+ * Get X position (centre) for a note on the piano roll
  */
 function getNoteXPosition(midiNumber) {
-    const noteIndex = midiNumber - PIANO_CONFIG.startNote;
-    let whiteKeyCount = 0;
-
-    // Count white keys before this note
-    for (let i = PIANO_CONFIG.startNote; i < midiNumber; i++) {
-        if (!isBlackKey(i)) {
-            whiteKeyCount++;
-        }
-    }
-
-    const isBlack = isBlackKey(midiNumber);
-
-    if (isBlack) {
-        // Black keys are positioned between white keys
-        return (whiteKeyCount * PIANO_CONFIG.whiteKeyWidth) - 8 + (PIANO_CONFIG.blackKeyWidth / 2);
-    } else {
-        // White keys
-        return (whiteKeyCount * PIANO_CONFIG.whiteKeyWidth) + (PIANO_CONFIG.whiteKeyWidth / 2);
-    }
+    const geometry = keyboardLayout.keys.get(midiNumber);
+    return keyboardLayout.canvasOffset + geometry.left + geometry.width / 2;
 }
 
 /**
  * Get width for a note on the piano roll
  */
 function getNoteWidth(midiNumber) {
-    return isBlackKey(midiNumber) ? PIANO_CONFIG.blackKeyWidth : PIANO_CONFIG.whiteKeyWidth;
+    return keyboardLayout.keys.get(midiNumber).width;
 }
 
 /**
  * Add note to piano roll history
  */
 function addNoteToRoll(midiNumber, velocity) {
+    if (!isNoteOnKeyboard(midiNumber)) return;
+
     noteHistory.push({
         note: midiNumber,
         velocity: velocity,
@@ -389,8 +1424,11 @@ async function loadLessonFromMidi(file) {
             fileName: file.name
         };
 
+        // Restore the track mapping used the last time this song was practised
+        const songSettings = await getSongSettings(file.name);
+
         // Show UI for track mapping
-        showTrackMappingUI(midi.tracks);
+        showTrackMappingUI(midi.tracks, songSettings);
 
     } catch (error) {
         console.error('❌ Помилка завантаження MIDI:', error);
@@ -404,10 +1442,14 @@ async function loadLessonFromMidi(file) {
 
 /**
  * Show the Track Selection Modal
+ * @param {Array} tracks - Parsed MIDI tracks
+ * @param {Object|null} savedSettings - { mapping, splitPoint } from a previous session
  */
-function showTrackMappingUI(tracks) {
+function showTrackMappingUI(tracks, savedSettings = null) {
     const modal = document.getElementById('trackMapperModal');
     const tracksList = document.getElementById('tracksList');
+    const savedMapping = savedSettings ? savedSettings.mapping : null;
+    const pianoTracks = tracks.filter(track => track.notes.length > 0);
     tracksList.innerHTML = '';
 
     tracks.forEach((track, index) => {
@@ -415,34 +1457,718 @@ function showTrackMappingUI(tracks) {
 
         const trackName = track.name || `Трек ${index + 1}`;
         const noteCount = track.notes.length;
+        const trackDifficulty = analyzeDifficulty(track.notes);
 
         // Determine initial guess (optional)
         let initialGuess = 'ignore';
         const lowerName = trackName.toLowerCase();
+        const isOtherInstrument = track.instrument.percussion || track.channel === 9 || track.instrument.number >= 8;
         if (lowerName.includes('left')) initialGuess = 'left';
         else if (lowerName.includes('right')) initialGuess = 'right';
+        else if (isOtherInstrument && pianoTracks.length > 1) initialGuess = 'accompaniment';
+        else if (pianoTracks.length === 1) initialGuess = 'auto';
         else if (index === 0 && tracks.length > 1) initialGuess = 'right';
         else if (index === 1) initialGuess = 'left';
+        if (savedMapping && savedMapping[index]) initialGuess = savedMapping[index];
 
         const trackItem = document.createElement('div');
         trackItem.className = 'track-item';
         trackItem.innerHTML = `
             <div class="track-info-main">
                 <span class="track-name">${trackName}</span>
-                <span class="track-meta">${noteCount} нот</span>
+                <span class="track-meta">${noteCount} нот · складність ${trackDifficulty.rating}</span>
             </div>
             <select class="track-hand-select" data-track-index="${index}">
                 <option value="right" ${initialGuess === 'right' ? 'selected' : ''}>Права рука</option>
                 <option value="left" ${initialGuess === 'left' ? 'selected' : ''}>Ліва рука</option>
+                <option value="auto" ${initialGuess === 'auto' ? 'selected' : ''}>Авто (дві руки)</option>
+                <option value="accompaniment" ${initialGuess === 'accompaniment' ? 'selected' : ''}>Супровід</option>
                 <option value="ignore" ${initialGuess === 'ignore' ? 'selected' : ''}>Пропустити</option>
             </select>
         `;
         tracksList.appendChild(trackItem);
     });
 
+    // Pedal markings can live on any track, including note-less "Pedal" tracks
+    const pedalCount = tracks.reduce((sum, track) => sum + ((track.controlChanges[64] || []).length), 0);
+    const pedalOption = document.getElementById('pedalOption');
+    pedalOption.style.display = pedalCount > 0 ? 'flex' : 'none';
+    document.getElementById('pedalOptionMeta').textContent = `${pedalCount} позначок педалі`;
+    document.getElementById('waitForPedalCheckbox').checked = waitForPedal;
+
+    // Split point: per-song if saved, else the last one used
+    const storedSplitPoint = savedSettings && savedSettings.splitPoint
+        ? savedSettings.splitPoint
+        : (loadSettings().splitPoint || DEFAULT_SPLIT_POINT);
+    document.getElementById('splitPointSlider').value = storedSplitPoint;
+    tracksList.querySelectorAll('.track-hand-select').forEach(select => {
+        select.addEventListener('change', updateSplitPreview);
+        select.addEventListener('change', updateRangeWarning);
+        select.addEventListener('change', updateDifficultyPanel);
+    });
+    document.getElementById('foldNotesCheckbox').checked = Boolean(loadSettings().foldNotes);
+    updateSplitPreview();
+    updateRangeWarning();
+    updateDifficultyPanel();
+
     modal.classList.add('active');
 }
 
+/**
+ * Read the hand chosen for each track in the mapper
+ * @returns {Object} trackIndex -> 'left' | 'right' | 'auto' | 'accompaniment' | 'ignore'
+ */
+function getMapperSelection() {
+    const mapping = {};
+    document.querySelectorAll('#trackMapperModal .track-hand-select').forEach(select => {
+        mapping[parseInt(select.dataset.trackIndex)] = select.value;
+    });
+    return mapping;
+}
+
+/**
+ * Collect the notes of the mapped tracks, splitting "auto" tracks between the hands
+ * @param {Array} tracks - Parsed MIDI tracks
+ * @param {Object} mapping - trackIndex -> hand
+ * @param {number} split - Split point (MIDI note) for auto separation
+ * @returns {Array} Notes { midi, time, duration, velocity, hand }
+ */
+function collectMappedNotes(tracks, mapping, split) {
+    const rawNotes = [];
+
+    tracks.forEach((track, index) => {
+        const assignedHand = mapping[index];
+        if (!assignedHand || assignedHand === 'ignore' || assignedHand === 'accompaniment') return;
+
+        const trackNotes = track.notes.map(note => ({
+            midi: note.midi,
+            time: note.time,
+            duration: note.duration,
+            velocity: note.velocity,
+            hand: assignedHand
+        }));
+
+        if (assignedHand === 'auto') autoSplitHands(trackNotes, split);
+        rawNotes.push(...trackNotes);
+    });
+
+    return rawNotes;
+}
+
+/**
+ * Assign each note to a hand using register, voice continuity and hand-span limits.
+ * Notes starting together are treated as one chord; every way of cutting the chord
+ * into a lower (left) and upper (right) part is scored and the cheapest one wins.
+ * @param {Array} notes - Notes { midi, time, duration }, hand is written in place
+ * @param {number} split - Split point (MIDI note) the register cost is centred on
+ */
+function autoSplitHands(notes, split) {
+    const ONSET_TOLERANCE = 0.03;   // seconds: notes closer than this form one chord
+    const MAX_HAND_SPAN = 14;       // semitones: a ninth is comfortable, wider is penalised
+    const MAX_HAND_NOTES = 5;
+
+    const sorted = notes.slice().sort((a, b) => a.time - b.time || a.midi - b.midi);
+    let leftPosition = split - 7;   // Recent average pitch of each hand
+    let rightPosition = split + 7;
+    const held = { left: [], right: [] }; // Notes still sounding in each hand
+
+    let i = 0;
+    while (i < sorted.length) {
+        const chord = [sorted[i]];
+        while (i + chord.length < sorted.length && sorted[i + chord.length].time - sorted[i].time < ONSET_TOLERANCE) {
+            chord.push(sorted[i + chord.length]);
+        }
+        chord.sort((a, b) => a.midi - b.midi);
+        const time = chord[0].time;
+
+        held.left = held.left.filter(note => note.time + note.duration > time + ONSET_TOLERANCE);
+        held.right = held.right.filter(note => note.time + note.duration > time + ONSET_TOLERANCE);
+
+        const handCost = (pitches, position, isLeft) => {
+            if (pitches.length === 0) return 0;
+            const all = pitches.concat(held[isLeft ? 'left' : 'right'].map(note => note.midi));
+            const span = Math.max(...all) - Math.min(...all);
+            const mean = pitches.reduce((sum, p) => sum + p, 0) / pitches.length;
+            let cost = Math.abs(mean - position) * 0.5;
+            if (span > MAX_HAND_SPAN) cost += (span - MAX_HAND_SPAN) * 10;
+            if (all.length > MAX_HAND_NOTES) cost += (all.length - MAX_HAND_NOTES) * 20;
+            pitches.forEach(p => {
+                const wrongSide = isLeft ? p - split : split - p;
+                if (wrongSide > 0) cost += wrongSide;
+            });
+            return cost;
+        };
+
+        // Cut k: the lowest k notes go to the left hand
+        let bestCut = 0;
+        let bestCost = Infinity;
+        const pitches = chord.map(note => note.midi);
+        for (let k = 0; k <= chord.length; k++) {
+            const cost = handCost(pitches.slice(0, k), leftPosition, true)
+                + handCost(pitches.slice(k), rightPosition, false);
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestCut = k;
+            }
+        }
+
+        chord.forEach((note, index) => {
+            const hand = index < bestCut ? 'left' : 'right';
+            note.hand = hand;
+            held[hand].push(note);
+        });
+
+        // Follow each hand's position (voice continuity)
+        const leftPitches = pitches.slice(0, bestCut);
+        const rightPitches = pitches.slice(bestCut);
+        if (leftPitches.length) leftPosition = leftPosition * 0.5 + (leftPitches.reduce((a, b) => a + b, 0) / leftPitches.length) * 0.5;
+        if (rightPitches.length) rightPosition = rightPosition * 0.5 + (rightPitches.reduce((a, b) => a + b, 0) / rightPitches.length) * 0.5;
+
+        i += chord.length;
+    }
+}
+
+/**
+ * Redraw the hand separation preview in the track mapper
+ * (shown while at least one track uses auto split)
+ */
+function updateSplitPreview() {
+    if (!tempMidiData) return;
+
+    const mapping = getMapperSelection();
+    const usesAuto = Object.values(mapping).includes('auto');
+    const split = parseInt(document.getElementById('splitPointSlider').value);
+    document.getElementById('splitPointValue').textContent = getNoteNameFromMidi(split);
+    document.getElementById('splitPreview').style.display = usesAuto ? 'flex' : 'none';
+    if (!usesAuto) return;
+
+    const notes = collectMappedNotes(tempMidiData.midi.tracks, mapping, split);
+    const leftCount = notes.filter(note => note.hand === 'left').length;
+    document.getElementById('splitPreviewMeta').textContent =
+        `Ліва рука: ${leftCount} нот · Права рука: ${notes.length - leftCount} нот`;
+
+    const canvas = document.getElementById('splitPreviewCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (notes.length === 0) return;
+
+    // Time runs left to right, pitch bottom to top
+    const startTime = Math.min(...notes.map(note => note.time));
+    const endTime = Math.max(...notes.map(note => note.time + note.duration));
+    const timeScale = canvas.width / Math.max(endTime - startTime, 0.001);
+    const noteHeight = canvas.height / (PIANO_CONFIG.endNote - PIANO_CONFIG.startNote + 1);
+    const pitchToY = pitch => canvas.height - (pitch - PIANO_CONFIG.startNote + 1) * noteHeight;
+
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.3)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, pitchToY(split) + noteHeight);
+    ctx.lineTo(canvas.width, pitchToY(split) + noteHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    notes.forEach(note => {
+        ctx.fillStyle = note.hand === 'left' ? '#EAB308' : '#2563EB';
+        ctx.fillRect(
+            (note.time - startTime) * timeScale,
+            pitchToY(note.midi),
+            Math.max(note.duration * timeScale, 1),
+            Math.max(noteHeight, 1)
+        );
+    });
+}
+
+/**
+ * Warn in the track mapper when the selected tracks need keys the keyboard doesn't have
+ */
+function updateRangeWarning() {
+    if (!tempMidiData) return;
+
+    const split = parseInt(document.getElementById('splitPointSlider').value);
+    const notes = collectMappedNotes(tempMidiData.midi.tracks, getMapperSelection(), split);
+    const outOfRange = notes.filter(note => !isNoteOnKeyboard(note.midi));
+    const warning = document.getElementById('rangeWarning');
+    warning.style.display = outOfRange.length > 0 ? 'flex' : 'none';
+    if (outOfRange.length === 0) return;
+
+    const lowest = Math.min(...notes.map(note => note.midi));
+    const highest = Math.max(...notes.map(note => note.midi));
+    document.getElementById('rangeWarningMeta').textContent =
+        `${outOfRange.length} нот поза клавіатурою (${PIANO_CONFIG.totalKeys} клавіш: ` +
+        `${getNoteNameFromMidi(PIANO_CONFIG.startNote)}–${getNoteNameFromMidi(PIANO_CONFIG.endNote)}, ` +
+        `урок: ${getNoteNameFromMidi(lowest)}–${getNoteNameFromMidi(highest)})`;
+}
+
+/**
+ * Measure how hard a set of notes is to play
+ * @param {Array} notes - Notes { midi, time, duration } (seconds)
+ * @returns {Object|null} Metrics, a 1–10 rating and the hardest passages ({ startTime, endTime, notesPerSecond })
+ */
+function analyzeDifficulty(notes) {
+    if (notes.length === 0) return null;
+
+    const ONSET_TOLERANCE = 0.03;   // seconds: notes closer than this are struck together
+    const SPAN_TIME = 0.2;          // seconds: notes this close must fit under one hand
+    const LEAP_TIME = 0.3;          // seconds: a jump this fast counts as a leap
+    const PASSAGE_SECONDS = 4;
+
+    const sorted = notes.slice().sort((a, b) => a.time - b.time || a.midi - b.midi);
+    const startTime = sorted[0].time;
+    const endTime = Math.max(...sorted.map(note => note.time + note.duration));
+    const durationSec = Math.max(endTime - startTime, 1);
+
+    // Hand span: widest interval among notes played within SPAN_TIME
+    let handSpan = 0;
+    let spanStart = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        while (sorted[i].time - sorted[spanStart].time > SPAN_TIME) spanStart++;
+        for (let j = spanStart; j < i; j++) {
+            handSpan = Math.max(handSpan, Math.abs(sorted[i].midi - sorted[j].midi));
+        }
+    }
+
+    // Chords (struck together) and leaps between consecutive chords
+    let maxChordSize = 0;
+    let maxLeap = 0;
+    let leapCount = 0;
+    let previousChord = null;
+    for (let i = 0; i < sorted.length;) {
+        const chord = [sorted[i]];
+        while (i + chord.length < sorted.length && sorted[i + chord.length].time - sorted[i].time < ONSET_TOLERANCE) {
+            chord.push(sorted[i + chord.length]);
+        }
+        const pitches = chord.map(note => note.midi);
+        const low = Math.min(...pitches);
+        const high = Math.max(...pitches);
+        maxChordSize = Math.max(maxChordSize, chord.length);
+
+        if (previousChord && chord[0].time - previousChord.time < LEAP_TIME) {
+            const leap = Math.max(Math.abs(low - previousChord.low), Math.abs(high - previousChord.high));
+            maxLeap = Math.max(maxLeap, leap);
+            if (leap > 12) leapCount++;
+        }
+        previousChord = { time: chord[0].time, low, high };
+        i += chord.length;
+    }
+
+    // Maximum number of notes sounding at once
+    const edges = [];
+    sorted.forEach(note => {
+        edges.push({ time: note.time, delta: 1 });
+        edges.push({ time: note.time + note.duration, delta: -1 });
+    });
+    edges.sort((a, b) => a.time - b.time || a.delta - b.delta);
+    let sounding = 0;
+    let maxPolyphony = 0;
+    edges.forEach(edge => {
+        sounding += edge.delta;
+        maxPolyphony = Math.max(maxPolyphony, sounding);
+    });
+
+    // Densest windows: the hardest passages
+    const windows = [];
+    let windowEnd = 0;
+    for (let windowStart = 0; windowStart < sorted.length; windowStart++) {
+        while (windowEnd < sorted.length && sorted[windowEnd].time < sorted[windowStart].time + PASSAGE_SECONDS) windowEnd++;
+        windows.push({
+            startTime: sorted[windowStart].time,
+            endTime: sorted[windowStart].time + PASSAGE_SECONDS,
+            notesPerSecond: (windowEnd - windowStart) / PASSAGE_SECONDS
+        });
+    }
+    windows.sort((a, b) => b.notesPerSecond - a.notesPerSecond);
+    const passages = [];
+    for (const window of windows) {
+        if (passages.length === 3) break;
+        if (passages.some(passage => window.startTime < passage.endTime && window.endTime > passage.startTime)) continue;
+        passages.push(window);
+    }
+    passages.sort((a, b) => a.startTime - b.startTime);
+
+    const lowNote = sorted.reduce((low, note) => Math.min(low, note.midi), 127);
+    const highNote = sorted.reduce((high, note) => Math.max(high, note.midi), 0);
+    const notesPerSecond = sorted.length / durationSec;
+    const peakNotesPerSecond = windows[0].notesPerSecond;
+    const leapsPerMinute = leapCount / (durationSec / 60);
+
+    // Each aspect adds up to its weight; a slow single-line melody scores 1
+    const clamp = value => Math.max(0, Math.min(1, value));
+    const rating = 1
+        + 3 * clamp(peakNotesPerSecond / 14)
+        + 1.5 * clamp(notesPerSecond / 8)
+        + 1 * clamp((maxChordSize - 1) / 5)
+        + 1 * clamp((handSpan - 7) / 10)
+        + 1.5 * clamp(leapsPerMinute / 30)
+        + 1 * clamp((highNote - lowNote - 24) / 48);
+
+    return {
+        noteCount: sorted.length,
+        notesPerSecond,
+        peakNotesPerSecond,
+        maxPolyphony,
+        handSpan,
+        maxLeap,
+        leapCount,
+        lowNote,
+        highNote,
+        rating: Math.round(rating * 10) / 10,
+        passages
+    };
+}
+
+/**
+ * Rate a piece from its hands: the harder hand counts most, the other one adds coordination
+ * @param {Array} notes - Notes with hand 'left' / 'right'
+ * @returns {number|null} Rating 1–10
+ */
+function rateHands(notes) {
+    const ratings = ['left', 'right']
+        .map(hand => analyzeDifficulty(notes.filter(note => note.hand === hand)))
+        .filter(Boolean)
+        .map(metrics => metrics.rating);
+    if (ratings.length === 0) return null;
+
+    const hardest = Math.max(...ratings);
+    const easiest = ratings.length > 1 ? Math.min(...ratings) : 1;
+    return Math.round(Math.min(10, hardest + 0.25 * (easiest - 1)) * 10) / 10;
+}
+
+/**
+ * Name a difficulty rating
+ */
+function getDifficultyLabel(rating) {
+    if (rating <= 3) return 'Початковий';
+    if (rating <= 5) return 'Середній';
+    if (rating <= 7.5) return 'Просунутий';
+    return 'Віртуозний';
+}
+
+/**
+ * Show the difficulty of the mapped hands in the track mapper
+ */
+function updateDifficultyPanel() {
+    if (!tempMidiData) return;
+
+    const { midi } = tempMidiData;
+    const panel = document.getElementById('difficultyPanel');
+    const split = parseInt(document.getElementById('splitPointSlider').value);
+    const notes = collectMappedNotes(midi.tracks, getMapperSelection(), split);
+    const overall = analyzeDifficulty(notes);
+    panel.style.display = overall ? 'flex' : 'none';
+    if (!overall) return;
+    const rating = rateHands(notes);
+
+    const tempo = midi.header.tempos.length > 0 ? Math.round(midi.header.tempos[0].bpm) : 120;
+    const hands = [
+        ['Права', analyzeDifficulty(notes.filter(note => note.hand === 'right'))],
+        ['Ліва', analyzeDifficulty(notes.filter(note => note.hand === 'left'))]
+    ].filter(([, metrics]) => metrics);
+
+    const rows = hands.map(([label, metrics]) => `
+        <tr>
+            <td>${label}</td>
+            <td>${metrics.notesPerSecond.toFixed(1)} / ${metrics.peakNotesPerSecond.toFixed(1)}</td>
+            <td>${metrics.maxPolyphony}</td>
+            <td>${metrics.handSpan}</td>
+            <td>${metrics.leapCount}</td>
+            <td>${getNoteNameFromMidi(metrics.lowNote)}–${getNoteNameFromMidi(metrics.highNote)}</td>
+            <td>${metrics.rating}</td>
+        </tr>`).join('');
+
+    const toMeasure = seconds => Math.floor(midi.header.ticksToMeasures(midi.header.secondsToTicks(seconds))) + 1;
+    const passages = overall.passages.map(passage => `
+        <li>
+            <span class="report-passage-time">${formatTime(passage.startTime * 1000)}</span>
+            <span class="report-passage-notes">Такти ${toMeasure(passage.startTime)}–${toMeasure(passage.endTime)}</span>
+            <span class="report-passage-wait">${passage.notesPerSecond.toFixed(1)} нот/с</span>
+        </li>`).join('');
+
+    panel.innerHTML = `
+        <div class="difficulty-summary">
+            <span class="difficulty-rating">${rating}</span>
+            <span class="track-info-main">
+                <span class="track-name">${getDifficultyLabel(rating)}</span>
+                <span class="track-meta">${tempo} BPM · ${getNoteNameFromMidi(overall.lowNote)}–${getNoteNameFromMidi(overall.highNote)}</span>
+            </span>
+        </div>
+        <table class="history-table">
+            <thead><tr><th>Рука</th><th>Нот/с (пік)</th><th>Поліфонія</th><th>Розтяжка</th><th>Стрибки</th><th>Діапазон</th><th>Оцінка</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <h3>Найскладніші місця</h3>
+        <ul class="report-passages">${passages}</ul>
+    `;
+}
+
+/**
+ * Cost of playing two notes with two fingers of one hand, one after the other or together.
+ * Pitches are mirrored for the left hand, so the thumb is always the lowest finger.
+ */
+function getFingerPairCost(pitchA, fingerA, pitchB, fingerB) {
+    if (fingerA === fingerB) return pitchA === pitchB ? 0 : 4 + Math.abs(pitchB - pitchA);
+
+    const [low, high] = fingerA < fingerB ? [[pitchA, fingerA], [pitchB, fingerB]] : [[pitchB, fingerB], [pitchA, fingerA]];
+    const span = high[0] - low[0];
+
+    // Higher finger on a lower key: fine for the thumb passing under fingers 2-4 (or them over it), awkward otherwise
+    if (span < 0) return low[1] === 1 && high[1] < 5 ? high[1] + 1 + Math.abs(span) : 8 + 2 * Math.abs(span);
+
+    const [min, max] = FINGER_SPANS[`${low[1]}-${high[1]}`];
+    const outside = Math.max(min - span, span - max, 0);
+    return outside <= 2 ? outside : 2 + 3 * (outside - 2);
+}
+
+/**
+ * Every way to finger a chord (notes sorted from the thumb side): fingers rise with pitch
+ * @returns {Array} [{ fingers, cost }]
+ */
+function getChordFingerings(pitches, blackKeys) {
+    const states = [];
+    const pick = (start, fingers) => {
+        if (fingers.length === pitches.length) {
+            let cost = 0;
+            fingers.forEach((finger, i) => {
+                if (i > 0) cost += getFingerPairCost(pitches[i - 1], fingers[i - 1], pitches[i], finger);
+                // Thumb and little finger are short: avoid them on black keys; the fourth finger is weak
+                if (blackKeys[i] && finger === 1) cost += 2;
+                if (blackKeys[i] && finger === 5) cost += 1;
+                if (finger === 4) cost += 0.5;
+            });
+            states.push({ fingers, cost });
+            return;
+        }
+        for (let finger = start; finger <= 5 - (pitches.length - fingers.length - 1); finger++) {
+            pick(finger + 1, [...fingers, finger]);
+        }
+    };
+    pick(1, []);
+    return states;
+}
+
+/**
+ * Key of a lesson note that survives re-mapping the song (MIDI time in 10 ms steps)
+ */
+function getFingeringKey(event) {
+    return `${Math.round((event.timeMs - lessonTimeOffsetMs) / 10)}:${event.note}`;
+}
+
+/**
+ * Finger for a lesson note: the teacher's choice, else the suggestion
+ */
+function getEventFinger(event) {
+    return fingeringOverrides[getFingeringKey(event)] || event.finger || null;
+}
+
+/**
+ * Suggest fingerings for one hand: cheapest path through every chord's possible fingerings
+ * (Viterbi over span, crossing and black-key costs). Teacher overrides pin their notes.
+ * @param {Array} events - NoteOn events of one hand, sorted by time
+ * @param {boolean} isLeftHand - Mirror pitches so the thumb is the lowest finger
+ */
+function assignHandFingering(events, isLeftHand) {
+    const chords = [];
+    events.forEach(event => {
+        const last = chords[chords.length - 1];
+        if (last && event.timeMs - last.time < FINGERING_CHORD_MS) last.events.push(event);
+        else chords.push({ time: event.timeMs, events: [event] });
+    });
+
+    const steps = chords.map(chord => {
+        // Thumb side first; a hand has five fingers, so wide clusters lose their inner notes
+        let chordEvents = chord.events
+            .map(event => ({ event, pitch: isLeftHand ? -event.note : event.note }))
+            .sort((a, b) => a.pitch - b.pitch);
+        if (chordEvents.length > 5) chordEvents = [...chordEvents.slice(0, 3), ...chordEvents.slice(-2)];
+
+        const pitches = chordEvents.map(item => item.pitch);
+        let states = getChordFingerings(pitches, chordEvents.map(item => isBlackKey(item.event.note)));
+        const pinned = states.filter(state => chordEvents.every((item, i) => {
+            const override = fingeringOverrides[getFingeringKey(item.event)];
+            return !override || override === state.fingers[i];
+        }));
+        if (pinned.length > 0) states = pinned;
+
+        const end = Math.max(...chord.events.map(event => event.timeMs + event.durationMs));
+        return { chordEvents, pitches, states, start: chord.time, end };
+    });
+
+    // Transition: outer notes of one chord to the outer notes of the next
+    const transitionCost = (previous, prevState, next, nextState) => {
+        const last = previous.pitches.length - 1;
+        const nextLast = next.pitches.length - 1;
+        const cost = (getFingerPairCost(previous.pitches[0], prevState.fingers[0], next.pitches[0], nextState.fingers[0])
+            + getFingerPairCost(previous.pitches[last], prevState.fingers[last], next.pitches[nextLast], nextState.fingers[nextLast])) / 2;
+
+        // After a rest the hand is free to move to a new position
+        const rest = next.start - previous.end;
+        return rest > 0 ? cost * Math.max(0.1, 1 - rest / 500) : cost;
+    };
+
+    let costs = steps.length > 0 ? steps[0].states.map(state => state.cost) : [];
+    const backPointers = [];
+    for (let i = 1; i < steps.length; i++) {
+        const pointers = [];
+        costs = steps[i].states.map(state => {
+            let best = Infinity;
+            let bestIndex = 0;
+            steps[i - 1].states.forEach((prevState, j) => {
+                const total = costs[j] + transitionCost(steps[i - 1], prevState, steps[i], state);
+                if (total < best) {
+                    best = total;
+                    bestIndex = j;
+                }
+            });
+            pointers.push(bestIndex);
+            return best + state.cost;
+        });
+        backPointers.push(pointers);
+    }
+
+    // Walk back along the cheapest path
+    let stateIndex = costs.indexOf(Math.min(...costs));
+    for (let i = steps.length - 1; i >= 0; i--) {
+        const state = steps[i].states[stateIndex];
+        steps[i].chordEvents.forEach((item, j) => {
+            item.event.finger = state.fingers[j];
+        });
+        if (i > 0) stateIndex = backPointers[i - 1][stateIndex];
+    }
+}
+
+/**
+ * Suggest fingerings for both hands of the loaded lesson
+ */
+function computeLessonFingering() {
+    if (!currentLessonEvents) return;
+
+    const noteOns = currentLessonEvents.filter(event => event.action === 'NoteOn');
+    noteOns.forEach(event => {
+        event.finger = null;
+    });
+    assignHandFingering(noteOns.filter(event => isEventLeftHand(event)), true);
+    assignHandFingering(noteOns.filter(event => !isEventLeftHand(event)), false);
+    fingerHintSignature = '';
+}
+
+/**
+ * Teacher override: set a note's finger (null goes back to the suggestion), re-fit its neighbours and save
+ */
+function setFingerOverride(event, finger) {
+    const key = getFingeringKey(event);
+    if (finger) fingeringOverrides[key] = finger;
+    else delete fingeringOverrides[key];
+
+    console.log(`✋ Finger for ${event.noteName}: ${finger || 'auto'}`);
+    computeLessonFingering();
+    if (lessonFileName) saveSongSettings(lessonFileName, { fingerings: fingeringOverrides });
+}
+
+/**
+ * Load the teacher's saved fingerings for a song, then suggest the rest
+ */
+async function loadFingeringOverrides(fileName) {
+    fingeringOverrides = {};
+    computeLessonFingering();
+
+    const songSettings = await getSongSettings(fileName);
+    if (lessonFileName !== fileName || !songSettings || !songSettings.fingerings) return;
+
+    fingeringOverrides = songSettings.fingerings;
+    computeLessonFingering();
+}
+
+/**
+ * Falling lesson note under a point on the roll (canvas pixels), or null
+ */
+function getLessonNoteAt(x, y) {
+    if (!lessonActive || !currentLessonEvents) return null;
+
+    const height = document.querySelector('.piano-roll-wrapper').offsetHeight;
+    const elapsedTime = getLessonElapsedTime();
+    return currentLessonEvents.find(event => {
+        if (event.action !== 'NoteOn' || !keyboardLayout.keys.has(event.note)) return false;
+        const noteY = height - (event.timeMs - elapsedTime) * PIXELS_PER_MS;
+        const noteX = getNoteXPosition(event.note);
+        const width = getNoteWidth(event.note);
+        return x >= noteX - width / 2 && x <= noteX + width / 2
+            && y <= noteY && y >= noteY - event.durationMs * PIXELS_PER_MS;
+    }) || null;
+}
+
+/**
+ * Draw a finger number near the leading edge of a falling note
+ */
+function drawFingerNumber(x, y, finger, isBlack, isOverride) {
+    pianoRollCtx.font = 'bold 11px Inter, sans-serif';
+    pianoRollCtx.textAlign = 'center';
+    pianoRollCtx.textBaseline = 'middle';
+    pianoRollCtx.fillStyle = isBlack ? '#ffffff' : '#1e293b';
+    pianoRollCtx.fillText(String(finger), x, y);
+
+    // Teacher's choice: ringed
+    if (isOverride) {
+        pianoRollCtx.strokeStyle = pianoRollCtx.fillStyle;
+        pianoRollCtx.lineWidth = 1;
+        pianoRollCtx.beginPath();
+        pianoRollCtx.arc(x, y, 7, 0, Math.PI * 2);
+        pianoRollCtx.stroke();
+    }
+}
+
+/**
+ * Show finger numbers on the keys of the next chord to play
+ */
+function updateKeyFingerHints() {
+    const hints = [];
+    if (showFingering && lessonActive && currentLessonEvents && isLessonMode()) {
+        let chordTime = null;
+        for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+            const event = currentLessonEvents[i];
+            if (event.action !== 'NoteOn' || !isEventPlayable(event) || performanceJudgements.has(i)) continue;
+            if (chordTime === null) chordTime = event.timeMs;
+            if (event.timeMs - chordTime >= CHORD_WINDOW_MS) break;
+
+            const finger = getEventFinger(event);
+            if (finger) hints.push({ note: event.note, finger, hand: isEventLeftHand(event) ? 'left' : 'right' });
+        }
+    }
+
+    // Only touch the DOM when the chord changes
+    const signature = hints.map(hint => `${hint.note}:${hint.finger}`).join(',');
+    if (signature === fingerHintSignature) return;
+    fingerHintSignature = signature;
+
+    pianoKeyboard.querySelectorAll('[data-finger]').forEach(key => {
+        delete key.dataset.finger;
+        delete key.dataset.hand;
+    });
+    hints.forEach(hint => {
+        const key = pianoKeyboard.querySelector(`[data-note="${hint.note}"]`);
+        if (!key) return;
+        key.dataset.finger = hint.finger;
+        key.dataset.hand = hint.hand;
+    });
+}
+
+/**
+ * Sync the fingering button with the fingering state
+ */
+function updateFingeringUI() {
+    const fingeringBtn = document.getElementById('fingeringBtn');
+    fingeringBtn.classList.toggle('active', showFingering);
+    fingeringBtn.title = showFingering ? 'Сховати аплікатуру' : 'Показати аплікатуру';
+
+    // Editing needs the numbers on screen
+    if (!showFingering) fingeringEditMode = false;
+    const editBtn = document.getElementById('fingeringEditBtn');
+    editBtn.style.display = showFingering ? 'flex' : 'none';
+    editBtn.classList.toggle('active', fingeringEditMode);
+    editBtn.title = fingeringEditMode
+        ? 'Редагування: клік по ноті змінює палець, правий клік — автоматично'
+        : 'Редагувати аплікатуру';
+    document.getElementById('pianoRollCanvas').classList.toggle('editing-fingers', fingeringEditMode);
+}
+
 /**
  * Apply the selected track mapping and build the final event list
  */
@@ -450,41 +2176,33 @@ function applyTrackMapping() {
     if (!tempMidiData) return;
 
     const modal = document.getElementById('trackMapperModal');
-    const selects = modal.querySelectorAll('.track-hand-select');
-    const mapping = {};
-
-    selects.forEach(select => {
-        const trackIndex = parseInt(select.dataset.trackIndex);
-        mapping[trackIndex] = select.value;
-    });
+    const mapping = getMapperSelection();
 
     const { midi, fileName } = tempMidiData;
     const PREPARATION_TIME_MS = 5000;
     const COOLDOWN_TIME_MS = 3000;
-    const rawNotes = [];
-
-    midi.tracks.forEach((track, index) => {
-        const assignedHand = mapping[index];
-        if (!assignedHand || assignedHand === 'ignore') return;
-
-        track.notes.forEach(note => {
-            rawNotes.push({
-                midi: note.midi,
-                time: note.time,
-                duration: note.duration,
-                velocity: note.velocity,
-                hand: assignedHand
-            });
+    splitPoint = parseInt(document.getElementById('splitPointSlider').value);
+    const rawNotes = collectMappedNotes(midi.tracks, mapping, splitPoint);
+
+    // Optionally move out-of-range notes by octaves onto the keyboard
+    const foldNotes = document.getElementById('foldNotesCheckbox').checked;
+    if (foldNotes) {
+        rawNotes.forEach(note => {
+            note.midi = foldNoteIntoRange(note.midi);
         });
-    });
+    }
+    saveSetting('foldNotes', foldNotes);
 
     if (rawNotes.length === 0) {
         alert('Будь ласка, виберіть хоча б один трек для гри!');
         return;
     }
 
-    // Process notes (same as old logic but with mapped hands)
-    const minTime = Math.min(...rawNotes.map(n => n.time));
+    // Process notes (same as old logic but with mapped hands); an accompaniment intro counts too
+    const accompanimentTimes = midi.tracks
+        .filter((track, index) => mapping[index] === 'accompaniment' && track.notes.length > 0)
+        .map(track => track.notes[0].time);
+    const minTime = Math.min(...rawNotes.map(n => n.time), ...accompanimentTimes);
     const allNoteEvents = [];
 
     rawNotes.forEach(note => {
@@ -514,10 +2232,45 @@ function applyTrackMapping() {
 
     allNoteEvents.sort((a, b) => a.timeMs - b.timeMs);
 
-    // Update global state
-    currentLessonEvents = allNoteEvents;
-    lessonName = fileName.replace(/\.mid$/i, '');
-    lessonDuration = allNoteEvents[allNoteEvents.length - 1].timeMs + COOLDOWN_TIME_MS;
+    // Sustain pedal from played tracks and from pedal-only tracks (no notes)
+    const pedalChanges = [];
+    midi.tracks.forEach((track, index) => {
+        const assignedHand = mapping[index];
+        const isPedalTrack = track.notes.length === 0;
+        if (!isPedalTrack && (!assignedHand || assignedHand === 'ignore' || assignedHand === 'accompaniment')) return;
+
+        (track.controlChanges[64] || []).forEach(cc => {
+            pedalChanges.push({
+                timeMs: Math.round((cc.time - minTime) * 1000) + PREPARATION_TIME_MS,
+                down: cc.value >= 0.5
+            });
+        });
+    });
+    pedalChanges.sort((a, b) => a.timeMs - b.timeMs);
+
+    // Keep only actual state changes
+    lessonPedalEvents = [];
+    pedalChanges.forEach(change => {
+        const last = lessonPedalEvents[lessonPedalEvents.length - 1];
+        const currentlyDown = last ? last.down : false;
+        if (change.down !== currentlyDown) lessonPedalEvents.push(change);
+    });
+    waitForPedal = document.getElementById('waitForPedalCheckbox').checked;
+
+    // Update global state
+    currentLessonEvents = allNoteEvents;
+    lessonMidiHeader = midi.header;
+    lessonTimeOffsetMs = PREPARATION_TIME_MS - Math.round(minTime * 1000);
+    clearLoop();
+    lessonName = fileName.replace(/\.mid$/i, '');
+    lessonFileName = fileName;
+    lessonDuration = allNoteEvents[allNoteEvents.length - 1].timeMs + COOLDOWN_TIME_MS;
+    if (zoomMode === 'lesson') zoomToLesson();
+    buildNotation();
+    buildLessonGrid();
+    loadFingeringOverrides(fileName);
+    setupAccompaniment(midi.tracks, mapping, time => Math.round((time - minTime) * 1000) + PREPARATION_TIME_MS);
+    loadAccompanimentMix(fileName);
 
     // Update UI
     const uploadStatus = document.getElementById('uploadStatus');
@@ -526,6 +2279,10 @@ function applyTrackMapping() {
     uploadStatus.classList.add('loaded');
     lessonStartBtn.disabled = false;
 
+    // Remember the mapping for the next time this song is loaded
+    saveSongSettings(fileName, { mapping, splitPoint });
+    saveSetting('splitPoint', splitPoint);
+
     // Close modal
     modal.classList.remove('active');
     console.log('✅ Треки налаштовано для урока:', lessonName);
@@ -590,6 +2347,90 @@ function drawVisualGuides(width, height) {
     pianoRollCtx.restore();
 }
 
+/**
+ * Get the lesson clock (ms of lesson time since lesson start, excluding pauses).
+ * Wall-clock running time is scaled by the practice tempo.
+ */
+function getLessonElapsedTime() {
+    if (lessonPaused) {
+        return (lessonPauseStartTime - lessonStartTime - lessonPausedTime) * lessonTempo;
+    }
+    return (getLessonClockNow() - lessonStartTime - lessonPausedTime) * lessonTempo;
+}
+
+/**
+ * Wall-clock time the lesson clock reads from (frozen while the student has paused)
+ */
+function getLessonClockNow() {
+    return lessonUserPaused ? userPauseStartTime : Date.now();
+}
+
+/**
+ * Check whether the current mode plays a loaded lesson ('lesson' or 'performance')
+ */
+function isLessonMode() {
+    return currentMode === 'lesson' || currentMode === 'performance';
+}
+
+/**
+ * Determine which hand plays a lesson event (mapped hand, else split point)
+ */
+function isEventLeftHand(event) {
+    if (event.hand === 'left') return true;
+    if (event.hand === 'right') return false;
+    return event.note < splitPoint;
+}
+
+/**
+ * Whether the student plays this event: its hand is active and the key exists on their keyboard
+ * (everything else is auto-played)
+ */
+function isEventPlayable(event) {
+    const isHandActive = isEventLeftHand(event) ? leftHandActive : rightHandActive;
+    return isHandActive && isNoteOnKeyboard(event.note);
+}
+
+/**
+ * Change the practice tempo without losing the lesson position
+ * @param {number} tempo - Speed multiplier (clamped to TEMPO_MIN..TEMPO_MAX)
+ */
+function setLessonTempo(tempo) {
+    const newTempo = Math.round(Math.max(TEMPO_MIN, Math.min(TEMPO_MAX, tempo)) * 100) / 100;
+
+    if (lessonActive && lessonStartTime) {
+        // Re-anchor the clock so the current position maps to the same lesson time at the new speed
+        const elapsedTime = getLessonElapsedTime();
+        const anchorTime = lessonPaused ? lessonPauseStartTime : getLessonClockNow();
+        lessonPausedTime = anchorTime - lessonStartTime - elapsedTime / newTempo;
+    }
+
+    lessonTempo = newTempo;
+    console.log(`🎚️ Tempo: ${Math.round(lessonTempo * 100)}%`);
+    updateTempoUI();
+}
+
+/**
+ * Speed trainer: step the tempo up after a clean loop pass or run
+ */
+function onCleanPass() {
+    if (!speedTrainerEnabled || lessonTempo >= TEMPO_MAX) return;
+
+    console.log('🚀 Clean pass! Speeding up');
+    setLessonTempo(lessonTempo + SPEED_TRAINER_STEP);
+}
+
+/**
+ * Sync tempo controls with the tempo state
+ */
+function updateTempoUI() {
+    const tempoSlider = document.getElementById('tempoSlider');
+    if (!tempoSlider) return;
+
+    tempoSlider.value = Math.round(lessonTempo * 100);
+    document.getElementById('tempoValue').textContent = `${Math.round(lessonTempo * 100)}%`;
+    document.getElementById('speedTrainerBtn').classList.toggle('active', speedTrainerEnabled);
+}
+
 /**
  * Draw notes on piano roll
  */
@@ -597,16 +2438,22 @@ function drawNotes() {
     const wrapper = document.querySelector('.piano-roll-wrapper');
     const height = wrapper.offsetHeight;
 
-    if (currentMode === 'lesson' && lessonActive && currentLessonEvents) {
+    if (isLessonMode() && lessonActive && currentLessonEvents) {
         // Draw lesson expected notes
         // Calculate elapsed time accounting for pauses
-        let elapsedTime;
-        if (lessonPaused) {
-            elapsedTime = lessonPauseStartTime - lessonStartTime - lessonPausedTime;
-        } else {
-            elapsedTime = Date.now() - lessonStartTime - lessonPausedTime;
+        const elapsedTime = getLessonElapsedTime();
+
+        drawLoopRegion(wrapper.offsetWidth, height, elapsedTime);
+        drawMeasureGrid(wrapper.offsetWidth, height, elapsedTime);
+
+        // Performance mode never pauses: judge and auto-play notes as they pass the hit line
+        if (currentMode === 'performance') {
+            updatePerformance(elapsedTime);
         }
 
+        updateLessonPedal(elapsedTime);
+        drawLessonPedal(height, elapsedTime);
+
         currentLessonEvents.forEach((event, index) => {
             if (event.action === 'NoteOn') {
                 const duration = event.durationMs;
@@ -618,27 +2465,19 @@ function drawNotes() {
                 const noteHeight = duration * PIXELS_PER_MS;
 
                 // Determine Hand
-                let isLeftHand;
-                if (event.hand === 'left') {
-                    isLeftHand = true;
-                } else if (event.hand === 'right') {
-                    isLeftHand = false;
-                } else {
-                    // Fallback to split point
-                    isLeftHand = event.note < SPLIT_POINT;
-                }
-                const isHandActive = isLeftHand ? leftHandActive : rightHandActive;
+                const isLeftHand = isEventLeftHand(event);
+                const isHandActive = isEventPlayable(event);
 
                 // Check for pause: when Leading Edge reaches the HIT LINE
                 // We only check this for the current event to avoid multiple triggers
                 const hitLineY = height - HIT_LINE_Y_OFFSET;
 
-                if (!lessonPaused && noteY >= hitLineY && index === currentEventIndex) {
+                if (currentMode === 'lesson' && !lessonPaused && noteY >= hitLineY && index === currentEventIndex) {
                     if (isHandActive) {
                         // Hand is Active -> PAUSE and Wait
                         console.log('🛑 Pause Triggered by:', getNoteNameFromMidi(event.note));
                         lessonPaused = true;
-                        lessonPauseStartTime = Date.now();
+                        lessonPauseStartTime = getLessonClockNow();
                         waitingNotes.clear();
 
                         // Identify Chord Group
@@ -650,8 +2489,7 @@ function drawNotes() {
 
                             // Check time window (100ms tolerance)
                             if (Math.abs(chordNote.timeMs - baseTime) < CHORD_WINDOW_MS) {
-                                let chordIsLeft = chordNote.hand ? (chordNote.hand === 'left') : (chordNote.note < SPLIT_POINT);
-                                if ((chordIsLeft && leftHandActive) || (!chordIsLeft && rightHandActive)) {
+                                if (isEventPlayable(chordNote)) {
                                     waitingNotes.add(chordNote.note);
                                     console.log(`   + Added to chord: ${getNoteNameFromMidi(chordNote.note)}`);
                                 }
@@ -660,9 +2498,13 @@ function drawNotes() {
                             }
                         }
 
+                        beginChordGroup(baseTime);
+
+                        // Notes pressed just ahead of the hit line may already satisfy the chord
                         if (waitingNotes.size === 0) {
-                            lessonPaused = false;
-                            lessonPauseStartTime = null;
+                            resumeLessonAfterChord();
+                        } else if (chordRule !== 'sequential') {
+                            checkLessonProgress();
                         }
 
                     } else {
@@ -672,11 +2514,7 @@ function drawNotes() {
 
                         // PLAY SOUND for the disabled note
                         // Pass hand information for channel routing
-                        const handForSound = (event.hand === 'left' || event.hand === 'right')
-                            ? (event.hand === 'left')
-                            : (event.note < SPLIT_POINT);
-
-                        playNoteSound(event.note, event.durationMs, handForSound);
+                        playNoteSound(event.note, event.durationMs / lessonTempo, isLeftHand);
 
                         let nextIndex = currentEventIndex + 1;
                         while (nextIndex < currentLessonEvents.length) {
@@ -744,15 +2582,41 @@ function drawNotes() {
 
                         fillStyle = `rgb(${r}, ${g}, ${b})`;
                         strokeStyle = '#ffffff'; // White border when pulsing
+                    } else if (performanceJudgements.has(index)) {
+                        // Performance mode: tint notes by their judgement
+                        const judgement = performanceJudgements.get(index);
+                        if (judgement === 'hit') {
+                            fillStyle = '#34d399';
+                            strokeStyle = '#059669';
+                        } else if (judgement === 'early' || judgement === 'late') {
+                            fillStyle = '#fbbf24';
+                            strokeStyle = '#d97706';
+                        } else if (judgement === 'missed') {
+                            fillStyle = 'rgba(239, 68, 68, 0.35)';
+                            strokeStyle = '#ef4444';
+                        } else {
+                            fillStyle = `rgba(${baseR}, ${baseG}, ${baseB}, 0.5)`;
+                        }
+                    } else if (dynamicsTolerance) {
+                        // Dynamics mode: soft notes fade towards white, loud notes keep the full colour
+                        const t = (1 - event.velocity / 127) * 0.75;
+                        const r = Math.round(baseR + (255 - baseR) * t);
+                        const g = Math.round(baseG + (255 - baseG) * t);
+                        const b = Math.round(baseB + (255 - baseB) * t);
+                        fillStyle = `rgb(${r}, ${g}, ${b})`;
                     } else {
                         // Standard solid color
                         fillStyle = `rgb(${baseR}, ${baseG}, ${baseB})`;
                     }
 
+                    // Released too early: orange outline
+                    const releasedEarly = earlyReleases.has(event);
+                    if (releasedEarly) strokeStyle = '#f97316';
+
                     // Draw Rounded Rectangle
                     pianoRollCtx.fillStyle = fillStyle;
                     pianoRollCtx.strokeStyle = strokeStyle;
-                    pianoRollCtx.lineWidth = waitingNotes.has(event.note) ? 3 : 1;
+                    pianoRollCtx.lineWidth = waitingNotes.has(event.note) || releasedEarly ? 3 : 1;
 
                     pianoRollCtx.beginPath();
                     if (pianoRollCtx.roundRect) {
@@ -774,11 +2638,22 @@ function drawNotes() {
                     }
                     pianoRollCtx.fill();
                     pianoRollCtx.stroke();
+
+                    const finger = showFingering ? getEventFinger(event) : null;
+                    if (finger && width >= 10 && noteHeight >= 14) {
+                        const isOverride = Boolean(fingeringOverrides[getFingeringKey(event)]);
+                        drawFingerNumber(x - 1, noteY - 8, finger, isBlack, isOverride);
+                    }
                 }
             }
         });
+
+        drawWrongNotes(height);
+        drawPerformanceFeedback(wrapper.offsetWidth, height);
     }
 
+    drawPedalHistory(height);
+
     // Draw user played notes (in both modes)
     noteHistory.forEach(note => {
         const x = getNoteXPosition(note.note);
@@ -804,31 +2679,482 @@ function drawNotes() {
     });
 }
 
+/**
+ * Every frame: apply pedal markings that reach the hit line.
+ * Auto-played hands get the pedal in the sampler; with "wait for pedal" the lesson
+ * pauses until the student's pedal matches the marking.
+ */
+function updateLessonPedal(elapsedTime) {
+    const hitLineTime = elapsedTime + HIT_LINE_LEAD_MS;
+
+    while (lessonPedalIndex < lessonPedalEvents.length && lessonPedalEvents[lessonPedalIndex].timeMs <= hitLineTime) {
+        if (lessonPaused) return;
+
+        const event = lessonPedalEvents[lessonPedalIndex];
+
+        if (currentMode === 'lesson' && waitForPedal && sustainPedalDown !== event.down) {
+            console.log(`🦶 Waiting for pedal ${event.down ? 'down' : 'up'}`);
+            lessonPaused = true;
+            lessonPauseStartTime = getLessonClockNow();
+            waitingPedal = event.down;
+            updatePedalIndicator();
+            return;
+        }
+
+        setLessonSustain(event.down);
+        lessonPedalIndex++;
+    }
+}
+
+/**
+ * Resume a lesson paused on a pedal marking once the student's pedal matches it
+ */
+function checkPedalProgress() {
+    if (waitingPedal === null || sustainPedalDown !== waitingPedal) return;
+
+    console.log('✅ Pedal matched! Resuming lesson...');
+    waitingPedal = null;
+    if (lessonPauseStartTime) {
+        lessonPausedTime += (getLessonClockNow() - lessonPauseStartTime);
+    }
+    lessonPaused = false;
+    lessonPauseStartTime = null;
+    updatePedalIndicator();
+}
+
+/**
+ * Apply the lesson pedal to the sampler (only while a hand is being auto-played)
+ */
+function setLessonSustain(isDown) {
+    const autoPlaying = !leftHandActive || !rightHandActive || currentMode === 'performance';
+    lessonSustainDown = isDown && autoPlaying;
+    releaseSustainedNotes();
+}
+
+/**
+ * After a seek: continue from the first pedal marking still ahead of the hit line
+ */
+function syncLessonPedal(elapsedTime) {
+    const hitLineTime = elapsedTime + HIT_LINE_LEAD_MS;
+    let isDown = false;
+
+    lessonPedalIndex = 0;
+    while (lessonPedalIndex < lessonPedalEvents.length && lessonPedalEvents[lessonPedalIndex].timeMs <= hitLineTime) {
+        isDown = lessonPedalEvents[lessonPedalIndex].down;
+        lessonPedalIndex++;
+    }
+
+    waitingPedal = null;
+    setLessonSustain(isDown);
+    updatePedalIndicator();
+}
+
+/**
+ * Draw lesson pedal markings as brackets next to the falling notes
+ * (vertical bar while held, tick at pedal-down, open end at pedal-up)
+ */
+function drawLessonPedal(height, elapsedTime) {
+    if (lessonPedalEvents.length === 0) return;
+
+    const timeToY = timeMs => height - (timeMs - elapsedTime) * PIXELS_PER_MS;
+    const x = 8;
+
+    pianoRollCtx.save();
+    pianoRollCtx.strokeStyle = 'rgba(99, 102, 241, 0.7)';
+    pianoRollCtx.lineWidth = 3;
+
+    for (let i = 0; i < lessonPedalEvents.length; i++) {
+        const event = lessonPedalEvents[i];
+        if (!event.down) continue;
+
+        const next = lessonPedalEvents[i + 1];
+        const startY = timeToY(event.timeMs);
+        const endY = timeToY(next ? next.timeMs : lessonDuration);
+        if (startY < 0) break;
+        if (endY > height) continue;
+
+        pianoRollCtx.beginPath();
+        pianoRollCtx.moveTo(x + 8, startY);
+        pianoRollCtx.lineTo(x, startY);
+        pianoRollCtx.lineTo(x, endY + 2);
+        pianoRollCtx.stroke();
+    }
+
+    pianoRollCtx.restore();
+}
+
+/**
+ * Convert a lesson time to MIDI ticks using the file's tempo map
+ */
+function lessonMsToTicks(timeMs) {
+    return lessonMidiHeader.secondsToTicks(Math.max(0, (timeMs - lessonTimeOffsetMs) / 1000));
+}
+
+/**
+ * Quantise the lesson to a 16th-note grid and group it into chords per staff
+ * (left hand on the bass staff, right hand on the treble staff)
+ */
+function buildNotation() {
+    notationData = null;
+    if (!lessonMidiHeader || !currentLessonEvents) return;
+
+    const ppq = lessonMidiHeader.ppq;
+    const grid = ppq / 4;
+    const quantise = ticks => Math.round(ticks / grid) * grid;
+    const chords = new Map();
+
+    currentLessonEvents.forEach(event => {
+        if (event.action !== 'NoteOn') return;
+
+        const staff = isEventLeftHand(event) ? 'bass' : 'treble';
+        const tick = quantise(lessonMsToTicks(event.timeMs));
+        const durationTicks = Math.max(grid, quantise(lessonMsToTicks(event.timeMs + event.durationMs)) - tick);
+        const key = `${staff}:${tick}`;
+
+        if (!chords.has(key)) chords.set(key, { staff, tick, durationTicks, timeMs: event.timeMs, notes: [] });
+        const chord = chords.get(key);
+        chord.durationTicks = Math.min(chord.durationTicks, durationTicks);
+        chord.notes.push(event.note);
+    });
+
+    const sortedChords = Array.from(chords.values()).sort((a, b) => a.tick - b.tick);
+    const lastTick = sortedChords.length > 0 ? sortedChords[sortedChords.length - 1].tick : 0;
+    notationData = { chords: sortedChords, measures: getMeasureTicks(lessonMidiHeader, lastTick), ppq };
+}
+
+/**
+ * List the measures of a file from its time signatures
+ * @param {Object} header - Parsed MIDI header
+ * @param {number} lastTick - Stop after the measure containing this tick
+ * @returns {Array} { tick, beats, beatTicks } per measure
+ */
+function getMeasureTicks(header, lastTick) {
+    const signatures = header.timeSignatures.length > 0
+        ? header.timeSignatures
+        : [{ ticks: 0, timeSignature: [4, 4] }];
+    const measures = [];
+    let signatureIndex = 0;
+
+    for (let tick = 0; tick <= lastTick;) {
+        while (signatureIndex + 1 < signatures.length && signatures[signatureIndex + 1].ticks <= tick) signatureIndex++;
+        const [beats, beatUnit] = signatures[signatureIndex].timeSignature;
+        const beatTicks = header.ppq * 4 / beatUnit;
+        measures.push({ tick, beats, beatTicks });
+        tick += beats * beatTicks;
+    }
+
+    return measures;
+}
+
+/**
+ * Turn the measures into lesson times for the bar/beat grid on the roll
+ */
+function buildLessonGrid() {
+    lessonGrid = [];
+    if (!lessonMidiHeader || !lessonDuration) return;
+
+    const toLessonMs = tick => Math.round(lessonMidiHeader.ticksToSeconds(tick) * 1000) + lessonTimeOffsetMs;
+    getMeasureTicks(lessonMidiHeader, lessonMsToTicks(lessonDuration)).forEach((measure, index) => {
+        for (let beat = 0; beat < measure.beats; beat++) {
+            lessonGrid.push({
+                timeMs: toLessonMs(measure.tick + beat * measure.beatTicks),
+                measure: beat === 0 ? index + 1 : null
+            });
+        }
+    });
+
+    const measureCount = lessonGrid.filter(line => line.measure !== null).length;
+    document.getElementById('jumpMeasureInput').max = measureCount;
+}
+
+/**
+ * Draw bar lines (with measure numbers) and beat lines that scroll with the notes
+ */
+function drawMeasureGrid(width, height, elapsedTime) {
+    const visibleEnd = elapsedTime + height / PIXELS_PER_MS;
+
+    pianoRollCtx.save();
+    pianoRollCtx.font = '600 11px Inter, sans-serif';
+    pianoRollCtx.fillStyle = 'rgba(15, 23, 42, 0.35)';
+
+    for (const line of lessonGrid) {
+        if (line.timeMs < elapsedTime) continue;
+        if (line.timeMs > visibleEnd) break;
+
+        const y = height - (line.timeMs - elapsedTime) * PIXELS_PER_MS;
+        pianoRollCtx.strokeStyle = line.measure !== null ? 'rgba(15, 23, 42, 0.15)' : 'rgba(15, 23, 42, 0.05)';
+        pianoRollCtx.lineWidth = 1;
+        pianoRollCtx.beginPath();
+        pianoRollCtx.moveTo(0, y);
+        pianoRollCtx.lineTo(width, y);
+        pianoRollCtx.stroke();
+
+        if (line.measure !== null) {
+            pianoRollCtx.fillText(String(line.measure), width - 28, y - 4);
+        }
+    }
+
+    pianoRollCtx.restore();
+}
+
+/**
+ * Jump so that the given measure's downbeat is at the hit line
+ */
+function jumpToMeasure(measure) {
+    if (!lessonActive || !lessonMidiHeader) {
+        console.warn('⚠️ Спочатку почніть урок');
+        return;
+    }
+
+    const measureCount = lessonGrid.filter(line => line.measure !== null).length;
+    const target = Math.max(1, Math.min(measureCount, Math.round(measure)));
+    console.log(`🎯 Jump to measure ${target}`);
+    seekLesson(measureToLessonMs(target) - HIT_LINE_LEAD_MS);
+}
+
+/**
+ * Diatonic staff step of a note (C0 = 0, one step per letter name) and whether it needs a sharp
+ */
+function getStaffStep(midiNumber) {
+    const LETTER_STEPS = [0, 0, 1, 1, 2, 3, 3, 4, 4, 5, 5, 6];
+    const octave = Math.floor(midiNumber / 12) - 1;
+    return { step: octave * 7 + LETTER_STEPS[midiNumber % 12], sharp: isBlackKey(midiNumber) };
+}
+
+/**
+ * Switch between roll-only, split and notation-only views
+ * @param {string} mode - 'roll' | 'split' | 'notation'
+ */
+function setViewMode(mode) {
+    viewMode = mode;
+    saveSetting('viewMode', mode);
+
+    const mainContent = document.querySelector('.main-content');
+    mainContent.classList.toggle('view-split', mode === 'split');
+    mainContent.classList.toggle('view-notation', mode === 'notation');
+
+    const labels = { roll: 'Ноти, що падають', split: 'Ноти + нотний стан', notation: 'Нотний стан' };
+    const viewModeBtn = document.getElementById('viewModeBtn');
+    viewModeBtn.title = labels[mode];
+    viewModeBtn.classList.toggle('active', mode !== 'roll');
+
+    resizePianoRoll();
+    resizeNotation();
+}
+
+/**
+ * Resize the notation canvas to its panel
+ */
+function resizeNotation() {
+    const panel = document.getElementById('notationPanel');
+    const canvas = document.getElementById('notationCanvas');
+    const dpr = window.devicePixelRatio || 1;
+
+    notationCtx = canvas.getContext('2d');
+    canvas.width = panel.offsetWidth * dpr;
+    canvas.height = panel.offsetHeight * dpr;
+    notationCtx.scale(dpr, dpr);
+}
+
+/**
+ * Draw the grand staff around the lesson position: the cursor stays still and the music scrolls left
+ */
+function drawNotation() {
+    const panel = document.getElementById('notationPanel');
+    const width = panel.offsetWidth;
+    const height = panel.offsetHeight;
+    if (!notationCtx || width === 0 || height === 0) return;
+
+    const ctx = notationCtx;
+    const gap = NOTATION_LINE_GAP;
+    const trebleBottom = height / 2 - gap * 2;   // E4 line
+    const bassTop = height / 2 + gap * 2;        // A3 line
+    const staves = {
+        treble: { bottomY: trebleBottom, bottomStep: getStaffStep(64).step },
+        bass: { bottomY: bassTop + gap * 4, bottomStep: getStaffStep(43).step }
+    };
+    const stepToY = (staff, step) => staves[staff].bottomY - (step - staves[staff].bottomStep) * gap / 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Staff lines, clefs and the system line
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.5)';
+    ctx.fillStyle = '#0f172a';
+    ctx.lineWidth = 1;
+    Object.values(staves).forEach(({ bottomY }) => {
+        for (let line = 0; line < 5; line++) {
+            ctx.beginPath();
+            ctx.moveTo(0, bottomY - line * gap);
+            ctx.lineTo(width, bottomY - line * gap);
+            ctx.stroke();
+        }
+    });
+    ctx.font = `${gap * 5}px serif`;
+    ctx.fillText('𝄞', 4, trebleBottom + gap);
+    ctx.font = `${gap * 3.5}px serif`;
+    ctx.fillText('𝄢', 4, bassTop + gap * 2.5);
+
+    if (!notationData) return;
+
+    // Lesson position: the note at the hit line is under the cursor
+    const cursorTime = lessonActive ? getLessonElapsedTime() + HIT_LINE_LEAD_MS : lessonTimeOffsetMs;
+    const cursorTick = lessonMsToTicks(cursorTime);
+    const pixelsPerTick = NOTATION_QUARTER_WIDTH / notationData.ppq;
+    const tickToX = tick => NOTATION_CURSOR_X + (tick - cursorTick) * pixelsPerTick;
+    const staffTop = staves.treble.bottomY - gap * 4;
+    const staffBottom = staves.bass.bottomY;
+
+    // Bar lines and measure numbers
+    ctx.font = '10px Inter, sans-serif';
+    ctx.fillStyle = '#94a3b8';
+    notationData.measures.forEach((measure, index) => {
+        const x = tickToX(measure.tick);
+        if (x < 40 || x > width) return;
+        ctx.strokeStyle = 'rgba(15, 23, 42, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(x, staffTop);
+        ctx.lineTo(x, staffBottom);
+        ctx.stroke();
+        ctx.fillText(String(index + 1), x + 2, staffTop - 6);
+    });
+
+    // Chords
+    const waitingChord = lessonPaused && currentChordGroup ? currentChordGroup.timeMs : null;
+    notationData.chords.forEach(chord => {
+        const x = tickToX(chord.tick);
+        if (x < 40 || x > width + 20) return;
+
+        const isCurrent = waitingChord !== null && Math.abs(chord.timeMs - waitingChord) < CHORD_WINDOW_MS;
+        const isPast = chord.tick < cursorTick - notationData.ppq / 8 && !isCurrent;
+        drawNotationChord(ctx, chord, x, stepToY, isCurrent, isPast);
+    });
+
+    // Cursor
+    ctx.strokeStyle = 'rgba(99, 102, 241, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(NOTATION_CURSOR_X - 8, staffTop - gap);
+    ctx.lineTo(NOTATION_CURSOR_X - 8, staffBottom + gap);
+    ctx.stroke();
+}
+
+/**
+ * Draw one chord: note heads, accidentals, ledger lines, a shared stem and flags
+ */
+function drawNotationChord(ctx, chord, x, stepToY, isCurrent, isPast) {
+    const gap = NOTATION_LINE_GAP;
+    const sixteenths = chord.durationTicks / (notationData.ppq / 4);
+    const hollow = sixteenths >= 8;
+    const hasStem = sixteenths < 16;
+    const flags = sixteenths < 2 ? 2 : (sixteenths < 4 ? 1 : 0);
+    const dotted = [3, 6, 12].includes(sixteenths);
+    const middleStep = chord.staff === 'treble' ? getStaffStep(71).step : getStaffStep(50).step; // B4 / D3
+    const staffBottomStep = chord.staff === 'treble' ? getStaffStep(64).step : getStaffStep(43).step;
+
+    const heads = chord.notes.map(note => ({ note, ...getStaffStep(note) })).sort((a, b) => a.step - b.step);
+    const averageStep = heads.reduce((sum, head) => sum + head.step, 0) / heads.length;
+    const stemUp = averageStep < middleStep;
+
+    heads.forEach(head => {
+        const y = stepToY(chord.staff, head.step);
+        const pending = isCurrent && waitingNotes.has(head.note);
+        const color = pending ? '#6366f1' : (isCurrent ? '#10b981' : (isPast ? '#94a3b8' : '#0f172a'));
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+
+        // Ledger lines below/above the staff
+        for (let step = staffBottomStep - 2; step >= head.step; step -= 2) {
+            const ledgerY = stepToY(chord.staff, step);
+            ctx.beginPath();
+            ctx.moveTo(x - gap, ledgerY);
+            ctx.lineTo(x + gap, ledgerY);
+            ctx.stroke();
+        }
+        for (let step = staffBottomStep + 10; step <= head.step; step += 2) {
+            const ledgerY = stepToY(chord.staff, step);
+            ctx.beginPath();
+            ctx.moveTo(x - gap, ledgerY);
+            ctx.lineTo(x + gap, ledgerY);
+            ctx.stroke();
+        }
+
+        ctx.beginPath();
+        ctx.ellipse(x, y, gap * 0.65, gap * 0.45, -0.35, 0, Math.PI * 2);
+        if (hollow) {
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        } else {
+            ctx.fill();
+        }
+        if (head.sharp) {
+            ctx.font = `${gap * 1.6}px serif`;
+            ctx.fillText('♯', x - gap * 2, y + gap * 0.5);
+        }
+        if (dotted) {
+            ctx.beginPath();
+            ctx.arc(x + gap * 1.2, y - gap * 0.25, 1.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    });
+
+    if (!hasStem) return;
+
+    // Stem from the far note head, 3.5 spaces long; flags at its end
+    const lowY = stepToY(chord.staff, heads[0].step);
+    const highY = stepToY(chord.staff, heads[heads.length - 1].step);
+    const stemX = stemUp ? x + gap * 0.6 : x - gap * 0.6;
+    const stemEnd = stemUp ? highY - gap * 3.5 : lowY + gap * 3.5;
+    ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    ctx.moveTo(stemX, stemUp ? lowY : highY);
+    ctx.lineTo(stemX, stemEnd);
+    ctx.stroke();
+
+    for (let flag = 0; flag < flags; flag++) {
+        const flagY = stemEnd + (stemUp ? flag * gap : -flag * gap);
+        ctx.beginPath();
+        ctx.moveTo(stemX, flagY);
+        ctx.quadraticCurveTo(stemX + gap * 1.2, flagY + (stemUp ? gap : -gap), stemX + gap, flagY + (stemUp ? gap * 2 : -gap * 2));
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draw live sustain pedal segments as a strip on the left edge (scrolls with played notes)
+ */
+function drawPedalHistory(height) {
+    const now = Date.now();
+    const timeToY = time => height - ((now - time) / 1000) * 100;
+
+    pianoRollCtx.fillStyle = 'rgba(16, 185, 129, 0.45)';
+    pedalHistory.forEach(segment => {
+        const topY = timeToY(segment.start);
+        const bottomY = timeToY(segment.end === null ? now : segment.end);
+        pianoRollCtx.fillRect(0, topY, 6, bottomY - topY);
+    });
+}
+
 /**
  * Animate piano roll (notes scroll upward)
  */
 function animatePianoRoll() {
     drawPianoRollLanes();
 
+    // Jump back to A when the loop end is reached
+    checkLoopBoundary();
+
     // Check if lesson is complete
-    if (currentMode === 'lesson' && lessonActive && lessonStartTime) {
-        const totalElapsedTime = Date.now() - lessonStartTime - lessonPausedTime;
+    if (isLessonMode() && lessonActive && lessonStartTime) {
+        const totalElapsedTime = getLessonElapsedTime();
 
         if (totalElapsedTime >= lessonDuration) {
-            // Lesson completed! Reset everything
+            // Lesson completed! Show the report and reset everything
             console.log('🎉 Lesson completed!');
-            lessonActive = false;
-            lessonStartTime = null;
-            lessonPaused = false;
-            lessonPausedTime = 0;
-            lessonPauseStartTime = null;
-            waitingNotes.clear();
-            currentEventIndex = 0;
+            showLessonReport(lessonStats);
+            if (lessonStats && lessonStats.wrongNotes === 0 && lessonStats.missedNotes === 0) onCleanPass();
+            stopLesson(lessonDuration);
             noteHistory = [];
-
-            // Reset button
-            const lessonStartBtn = document.getElementById('lessonStartBtn');
-            lessonStartBtn.innerHTML = '<span class="btn-icon">▶️</span><span class="btn-label">Старт уроку</span>';
         }
     }
 
@@ -843,175 +3169,2240 @@ function animatePianoRoll() {
     const wrapper = document.querySelector('.piano-roll-wrapper');
     const height = wrapper.offsetHeight;
     noteHistory = noteHistory.filter(note => note.y < height + 10);
+    pedalHistory = pedalHistory.filter(segment => segment.end === null || (currentTime - segment.end) / 10 < height + 10);
+
+    drawNotes();
+    if (viewMode !== 'roll') drawNotation();
+    updateTimeline();
+    updateKeyFingerHints();
+    updateAccompaniment();
+
+    // Continue animation
+    animationFrameId = requestAnimationFrame(animatePianoRoll);
+}
+
+/**
+ * Update MIDI status display
+ */
+function updateMIDIStatus(message, type = 'loading') {
+    midiStatusElement.textContent = message;
+
+    statusIndicator.classList.remove('connected', 'error');
+
+    if (type === 'success') {
+        statusIndicator.classList.add('connected');
+    } else if (type === 'error') {
+        statusIndicator.classList.add('error');
+    }
+}
+
+/**
+ * Check if the correct notes are pressed to resume the lesson (Sequential/Cumulative Test Mode)
+ */
+function checkLessonProgress() {
+    if (currentMode !== 'lesson' || !lessonActive || !lessonPaused || waitingNotes.size === 0) {
+        return;
+    }
+
+    if (chordRule === 'sequential') {
+        // Sequential Logic: If a correct note is pressed, remove it from the waiting list.
+        // We don't require them to be held simultaneously.
+        for (const note of activeNotes) {
+            if (waitingNotes.has(note) && !heldSinceReset.has(note)) {
+                console.log(`✨ Correct note pressed: ${getNoteNameFromMidi(note)}`);
+                waitingNotes.delete(note);
+                recordChordHit(note);
+            }
+        }
+    } else if (isChordHeld()) {
+        // All chord notes are down together (and, for 'together', were pressed at once)
+        console.log(`✨ Chord pressed together: ${Array.from(waitingNotes).map(getNoteNameFromMidi).join(' ')}`);
+        for (const note of waitingNotes) {
+            const pressTime = notePressTimes.get(note);
+            const earlyMs = (currentChordGroup ? currentChordGroup.waitStart - pressTime : 0) * lessonTempo;
+            recordChordHit(note, Math.max(0, earlyMs), pressTime);
+        }
+        waitingNotes.clear();
+    }
+
+    // If no more notes are waiting, resume lesson
+    if (waitingNotes.size === 0) {
+        console.log(`✅ All chord notes satisfied! Resuming lesson...`);
+        resumeLessonAfterChord();
+    }
+}
+
+/**
+ * 'together' and 'held' chord rules: every waiting note is down, pressed for this chord
+ * (not held over from before it) and, for 'together', all within CHORD_TOGETHER_MS
+ */
+function isChordHeld() {
+    const earliestPress = currentChordGroup
+        ? currentChordGroup.waitStart - EARLY_HIT_WINDOW_MS / lessonTempo
+        : 0;
+    const pressTimes = [];
+    for (const note of waitingNotes) {
+        const pressTime = notePressTimes.get(note);
+        if (!activeNotes.has(note) || heldSinceReset.has(note) || !(pressTime >= earliestPress)) return false;
+        pressTimes.push(pressTime);
+    }
+
+    if (chordRule === 'together' && Math.max(...pressTimes) - Math.min(...pressTimes) > CHORD_TOGETHER_MS) {
+        showPerformanceFeedback('apart');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Lesson event of the current chord group for a pressed note
+ */
+function findChordEvent(note) {
+    if (!currentChordGroup) return null;
+
+    for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+        const event = currentLessonEvents[i];
+        if (event.timeMs - currentChordGroup.timeMs >= CHORD_WINDOW_MS) break;
+        if (event.action === 'NoteOn' && event.note === note) return event;
+    }
+    return null;
+}
+
+/**
+ * Note length check on release: flag a lesson note let go before most of its written duration
+ */
+function checkNoteRelease(noteNumber) {
+    const event = heldLessonNotes.get(noteNumber);
+    heldLessonNotes.delete(noteNumber);
+    if (!checkNoteLength || !event || !lessonActive || !lessonStats || event.durationMs < NOTE_LENGTH_MIN_MS) return;
+
+    // How much of the note has passed the hit line (frozen while the lesson waits)
+    const heldMs = getLessonElapsedTime() + HIT_LINE_LEAD_MS - event.timeMs;
+    if (heldMs >= event.durationMs * NOTE_LENGTH_MIN_RATIO) return;
+
+    console.log(`✂️ Released too early: ${event.noteName} (${Math.max(0, Math.round(heldMs))}/${event.durationMs}ms)`);
+    lessonStats.shortNotes++;
+    earlyReleases.add(event);
+    showPerformanceFeedback('short');
+}
+
+/**
+ * Dynamics mode: compare a credited note's velocity with the written one
+ */
+function recordDynamics(event, velocity) {
+    if (!dynamicsTolerance || !lessonStats || !event || velocity === undefined) return;
+
+    lessonStats.dynamics.push({
+        timeMs: event.timeMs,
+        endMs: event.timeMs + event.durationMs,
+        expected: event.velocity,
+        played: velocity
+    });
+
+    const difference = velocity - event.velocity;
+    if (Math.abs(difference) > dynamicsTolerance) showPerformanceFeedback(difference > 0 ? 'softer' : 'louder');
+}
+
+/**
+ * Velocity change across a phrase from a least-squares line through its notes
+ * @param {Array} samples - Dynamics samples of one phrase
+ * @param {string} key - 'expected' or 'played'
+ */
+function getDynamicsTrend(samples, key) {
+    const meanTime = samples.reduce((sum, sample) => sum + sample.timeMs, 0) / samples.length;
+    const meanValue = samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach(sample => {
+        covariance += (sample.timeMs - meanTime) * (sample[key] - meanValue);
+        variance += (sample.timeMs - meanTime) ** 2;
+    });
+    const span = samples[samples.length - 1].timeMs - samples[0].timeMs;
+    return variance > 0 ? (covariance / variance) * span : 0;
+}
+
+/**
+ * Split dynamics samples into phrases and compare written and played crescendo / diminuendo
+ * @returns {Array} [{ timeMs, expectedChange, playedChange, success }] for phrases that change loudness
+ */
+function analyzeDynamicsPhrases(samples) {
+    const sorted = [...samples].sort((a, b) => a.timeMs - b.timeMs);
+    const phrases = [];
+    let phrase = [];
+    let lastEnd = -Infinity;
+    sorted.forEach(sample => {
+        const isNewPhrase = phrase.length > 0
+            && (sample.timeMs - lastEnd >= PHRASE_GAP_MS || sample.timeMs - phrase[0].timeMs > PHRASE_MAX_MS);
+        if (isNewPhrase) {
+            phrases.push(phrase);
+            phrase = [];
+            lastEnd = -Infinity;
+        }
+        phrase.push(sample);
+        lastEnd = Math.max(lastEnd, sample.endMs);
+    });
+    if (phrase.length > 0) phrases.push(phrase);
+
+    return phrases
+        .filter(notes => notes.length >= 4)
+        .map(notes => {
+            const expectedChange = getDynamicsTrend(notes, 'expected');
+            const playedChange = getDynamicsTrend(notes, 'played');
+            return {
+                timeMs: notes[0].timeMs,
+                expectedChange,
+                playedChange,
+                // Right direction and at least half the written change
+                success: Math.sign(playedChange) === Math.sign(expectedChange)
+                    && Math.abs(playedChange) >= Math.abs(expectedChange) / 2
+            };
+        })
+        .filter(result => Math.abs(result.expectedChange) >= DYNAMICS_TREND_MIN);
+}
+
+/**
+ * Report section for dynamics mode: notes within tolerance and crescendo / diminuendo per phrase
+ */
+function getDynamicsReportHtml(stats) {
+    if (!stats.dynamics || stats.dynamics.length === 0) return '';
+
+    const tolerance = dynamicsTolerance || 20;
+    const withinTolerance = stats.dynamics.filter(sample => Math.abs(sample.played - sample.expected) <= tolerance).length;
+    const phrases = analyzeDynamicsPhrases(stats.dynamics);
+    const signed = value => `${value > 0 ? '+' : ''}${Math.round(value)}`;
+
+    const phrasesHtml = phrases.length > 0
+        ? phrases.map(phrase => `
+            <li>
+                <span class="report-passage-time">${formatTime(phrase.timeMs)}</span>
+                <span class="report-passage-notes">${phrase.expectedChange > 0 ? 'Крещендо' : 'Димінуендо'} ${signed(phrase.expectedChange)} · зіграно ${signed(phrase.playedChange)}</span>
+                <span class="${phrase.success ? 'report-passage-ok' : 'report-passage-wait'}">${phrase.success ? '✓' : '✗'}</span>
+            </li>`).join('')
+        : '<li class="report-empty">У творі немає крещендо чи димінуендо</li>';
+
+    return `
+        <div class="report-section">
+            <h3>Динаміка</h3>
+            <ul class="report-passages">${phrasesHtml}</ul>
+            <p class="report-footnote">Ноти в межах ±${tolerance}: ${Math.round(withinTolerance / stats.dynamics.length * 100)}%</p>
+        </div>`;
+}
+
+/**
+ * Resume the lesson once the current chord is satisfied and move to the next chord group
+ */
+function resumeLessonAfterChord() {
+    completeChordGroup();
+
+    // Resume the lesson
+    if (lessonPauseStartTime) {
+        lessonPausedTime += (getLessonClockNow() - lessonPauseStartTime);
+    }
+    lessonPaused = false;
+    lessonPauseStartTime = null;
+
+    // Move to next NoteOn event (skipping simultaneous ones we just played)
+    const currentEventTime = currentLessonEvents[currentEventIndex].timeMs;
+    for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+        // Find the next group of notes that is LATER than current group
+        // (Use tolerance to skip all notes in the current chord)
+        if (currentLessonEvents[i].timeMs > currentEventTime + CHORD_WINDOW_MS) {
+            // Find start of NEXT group
+            for (let j = i; j < currentLessonEvents.length; j++) {
+                if (currentLessonEvents[j].action === 'NoteOn') {
+                    currentEventIndex = j;
+                    return;
+                }
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Create an empty scoring record for a new lesson run
+ * @param {string} mode - 'lesson' or 'performance'
+ */
+function createLessonStats(mode = 'lesson') {
+    return {
+        mode: mode,
+        groups: [],        // Completed chord groups (see beginChordGroup)
+        correctNotes: 0,
+        wrongNotes: 0,
+        earlyNotes: 0,
+        lateNotes: 0,
+        missedNotes: 0,    // Performance mode: notes that passed the hit line unplayed
+        shortNotes: 0,     // Notes released before most of their written duration
+        dynamics: [],      // Dynamics mode: { timeMs, endMs, expected, played } velocities per credited note
+        score: 0,          // Performance mode points
+        currentStreak: 0,  // Lesson: chord groups without a wrong note; performance: notes in a row
+        bestStreak: 0,
+        totalWaitMs: 0
+    };
+}
+
+/**
+ * Share of correct notes among everything the student played or missed (0..1)
+ */
+function getLessonAccuracy(stats) {
+    const attempts = stats.correctNotes + stats.wrongNotes + stats.missedNotes;
+    return attempts > 0 ? stats.correctNotes / attempts : 1;
+}
+
+/**
+ * Start scoring the chord group the lesson has just paused on.
+ * Notes already pressed ahead of the hit line are credited as early hits.
+ */
+function beginChordGroup(baseTime) {
+    currentChordGroup = {
+        timeMs: baseTime,
+        notes: Array.from(waitingNotes),
+        waitStart: Date.now(),
+        waitMs: 0,
+        correct: 0,
+        wrong: 0,
+        offsets: [] // Timing per note in ms: negative = early, positive = late
+    };
+    heldSinceReset.clear();
+
+    // Other chord rules judge the chord as a whole once it's held
+    if (chordRule !== 'sequential') {
+        earlyHits.clear();
+        return;
+    }
+
+    for (const [note, earlyMs] of earlyHits) {
+        if (waitingNotes.has(note)) {
+            console.log(`⚡ Early note credited: ${getNoteNameFromMidi(note)} (${Math.round(earlyMs)}ms)`);
+            waitingNotes.delete(note);
+            recordChordHit(note, earlyMs);
+        }
+    }
+    earlyHits.clear();
+}
+
+/**
+ * Record a correct note for the current chord group
+ * @param {number} note - MIDI note number
+ * @param {number} earlyMs - How far ahead of the hit line it was pressed (0 = pressed while waiting)
+ * @param {number} pressTime - When it was pressed (Date.now() timestamp)
+ */
+function recordChordHit(note, earlyMs = 0, pressTime = Date.now()) {
+    if (!lessonStats || !currentChordGroup) return;
+
+    const event = findChordEvent(note);
+    if (event) heldLessonNotes.set(note, event);
+    recordDynamics(event, notePressVelocities.get(note));
+
+    // Timing relative to the hit line: negative = early, positive = reaction time while waiting
+    const offsetMs = earlyMs > 0 ? -earlyMs : pressTime - currentChordGroup.waitStart;
+    currentChordGroup.correct++;
+    currentChordGroup.offsets.push(offsetMs);
+    lessonStats.correctNotes++;
+    if (offsetMs < 0) {
+        lessonStats.earlyNotes++;
+    } else {
+        lessonStats.lateNotes++;
+    }
+}
+
+/**
+ * Close the current chord group and fold it into the lesson totals
+ */
+function completeChordGroup() {
+    if (!lessonStats || !currentChordGroup) return;
+
+    const group = currentChordGroup;
+    group.waitMs = Date.now() - group.waitStart;
+    lessonStats.totalWaitMs += group.waitMs;
+
+    if (group.wrong === 0) {
+        lessonStats.currentStreak++;
+        lessonStats.bestStreak = Math.max(lessonStats.bestStreak, lessonStats.currentStreak);
+    } else {
+        lessonStats.currentStreak = 0;
+    }
+
+    lessonStats.groups.push(group);
+    currentChordGroup = null;
+}
+
+/**
+ * Score a key press in lesson mode: wrong notes while waiting, early notes before the hit line
+ */
+function recordNotePress(noteNumber) {
+    if (!lessonStats || currentMode !== 'lesson' || !lessonActive) return;
+
+    if (lessonPaused && currentChordGroup) {
+        if (!currentChordGroup.notes.includes(noteNumber)) {
+            console.log(`❌ Wrong note: ${getNoteNameFromMidi(noteNumber)}`);
+            currentChordGroup.wrong++;
+            lessonStats.wrongNotes++;
+            flashWrongNote(noteNumber);
+            applyStrictMode();
+        }
+        return;
+    }
+
+    // Lesson is still scrolling: is this note part of the chord about to reach the hit line?
+    const nextEvent = currentLessonEvents[currentEventIndex];
+    if (!nextEvent) return;
+
+    const timeToHitLine = (nextEvent.timeMs - HIT_LINE_LEAD_MS) - getLessonElapsedTime();
+    if (timeToHitLine < 0 || timeToHitLine > EARLY_HIT_WINDOW_MS) return;
+
+    for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+        const event = currentLessonEvents[i];
+        if (event.timeMs - nextEvent.timeMs >= CHORD_WINDOW_MS) break;
+        if (event.action === 'NoteOn' && event.note === noteNumber) {
+            earlyHits.set(noteNumber, timeToHitLine);
+            return;
+        }
+    }
+}
+
+/**
+ * Show a wrong key: red on the keyboard and at the hit line
+ */
+function flashWrongNote(noteNumber) {
+    wrongNoteFlashes.push({ note: noteNumber, time: Date.now() });
+
+    const key = pianoKeyboard.querySelector(`[data-note="${noteNumber}"]`);
+    if (!key) return;
+    key.classList.add('wrong');
+    clearTimeout(key.wrongTimer);
+    key.wrongTimer = setTimeout(() => key.classList.remove('wrong'), WRONG_FLASH_MS);
+}
+
+/**
+ * Draw wrong presses as red bars at the hit line (fade out)
+ */
+function drawWrongNotes(height) {
+    const now = Date.now();
+    wrongNoteFlashes = wrongNoteFlashes.filter(flash => now - flash.time < WRONG_FLASH_MS);
+
+    const hitLineY = height - HIT_LINE_Y_OFFSET;
+    wrongNoteFlashes.forEach(flash => {
+        if (!keyboardLayout.keys.has(flash.note)) return;
+        const x = getNoteXPosition(flash.note);
+        const width = getNoteWidth(flash.note);
+
+        pianoRollCtx.fillStyle = `rgba(239, 68, 68, ${0.8 * (1 - (now - flash.time) / WRONG_FLASH_MS)})`;
+        pianoRollCtx.fillRect(x - width / 2, hitLineY - 30, width - 2, 30);
+    });
+}
+
+/**
+ * Lesson time of the first note of the phrase containing a note: the last onset after
+ * a silence of PHRASE_GAP_MS, but no more than PHRASE_MAX_MS back
+ */
+function findPhraseStart(timeMs) {
+    let phraseStart = null;
+    let lastEnd = -Infinity;
+    for (const event of currentLessonEvents) {
+        if (event.timeMs > timeMs) break;
+        if (event.action !== 'NoteOn' || event.timeMs < timeMs - PHRASE_MAX_MS) continue;
+
+        if (phraseStart === null || event.timeMs - lastEnd >= PHRASE_GAP_MS) phraseStart = event.timeMs;
+        lastEnd = Math.max(lastEnd, event.timeMs + event.durationMs);
+    }
+    return phraseStart === null ? timeMs : phraseStart;
+}
+
+/**
+ * Strict mode after a wrong note: replay the whole chord or go back to the phrase start
+ */
+function applyStrictMode() {
+    if (strictMode === 'chord') {
+        console.log('🔁 Strict mode: play the whole chord again');
+        undoChordHits(currentChordGroup);
+        currentChordGroup.notes.forEach(note => waitingNotes.add(note));
+        heldSinceReset = new Set(activeNotes);
+    } else if (strictMode === 'phrase') {
+        const phraseStart = findPhraseStart(currentChordGroup.timeMs);
+        console.log(`⏮️ Strict mode: back to the phrase at ${phraseStart}ms`);
+
+        // The mistake stays in the report (and breaks the streak); clean chords of the phrase are scored on the replay
+        completeChordGroup();
+        lessonStats.groups = lessonStats.groups.filter(group => {
+            if (group.timeMs < phraseStart) return true;
+            undoChordHits(group);
+            return group.wrong > 0;
+        });
+        seekLesson(phraseStart - HIT_LINE_LEAD_MS);
+    }
+}
+
+/**
+ * Take back the correct notes of a chord group that is about to be played again
+ */
+function undoChordHits(group) {
+    group.offsets.forEach(offsetMs => {
+        lessonStats.correctNotes--;
+        if (offsetMs < 0) {
+            lessonStats.earlyNotes--;
+        } else {
+            lessonStats.lateNotes--;
+        }
+    });
+    group.correct = 0;
+    group.offsets = [];
+    lessonStats.dynamics = lessonStats.dynamics.filter(sample => sample.timeMs < group.timeMs);
+}
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatTime(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Show the end-of-lesson summary (accuracy, streaks, timing and slowest passages)
+ */
+function showLessonReport(stats) {
+    if (!stats) return;
+
+    const modal = document.getElementById('lessonReportModal');
+    const body = document.getElementById('lessonReportBody');
+
+    const accuracy = Math.round(getLessonAccuracy(stats) * 100);
+    const offsets = stats.offsets || stats.groups.flatMap(group => group.offsets);
+    const avgOffset = offsets.length > 0
+        ? Math.round(offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length)
+        : 0;
+
+    // Slowest passages: chord groups the lesson had to wait longest on
+    const slowest = stats.groups
+        .filter(group => group.waitMs > 0)
+        .sort((a, b) => b.waitMs - a.waitMs)
+        .slice(0, 3);
+
+    const passagesHtml = slowest.length > 0
+        ? slowest.map(group => `
+            <li>
+                <span class="report-passage-time">${formatTime(group.timeMs)}</span>
+                <span class="report-passage-notes">${group.notes.map(getNoteNameFromMidi).join(' ')}</span>
+                <span class="report-passage-wait">${(group.waitMs / 1000).toFixed(1)} с</span>
+            </li>`).join('')
+        : '<li class="report-empty">Немає затримок</li>';
+
+    body.innerHTML = `
+        <div class="report-grid">
+            <div class="report-stat">
+                <span class="report-value">${accuracy}%</span>
+                <span class="report-label">Точність</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${stats.bestStreak}</span>
+                <span class="report-label">Найкраща серія</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${stats.correctNotes}</span>
+                <span class="report-label">Правильні ноти</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${stats.wrongNotes}</span>
+                <span class="report-label">Помилки</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${stats.earlyNotes} / ${stats.lateNotes}</span>
+                <span class="report-label">Рано / пізно</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${avgOffset > 0 ? '+' : ''}${avgOffset} мс</span>
+                <span class="report-label">Середній таймінг</span>
+            </div>
+        </div>
+        ${stats.mode === 'performance' ? `
+        <div class="report-grid">
+            <div class="report-stat">
+                <span class="report-value">${stats.score}</span>
+                <span class="report-label">Рахунок</span>
+            </div>
+            <div class="report-stat">
+                <span class="report-value">${stats.missedNotes}</span>
+                <span class="report-label">Пропущено</span>
+            </div>
+        </div>` : `
+        <div class="report-section">
+            <h3>Найповільніші місця</h3>
+            <ul class="report-passages">${passagesHtml}</ul>
+            <p class="report-footnote">Загальне очікування: ${formatTime(stats.totalWaitMs)}</p>
+        </div>`}
+        ${getDynamicsReportHtml(stats)}
+        ${stats.shortNotes > 0 ? `<p class="report-footnote">Ноти, відпущені зарано: ${stats.shortNotes}</p>` : ''}
+    `;
+
+    modal.classList.add('active');
+}
+
+/**
+ * Open (once) the IndexedDB database holding practice sessions and per-song settings
+ */
+function openPracticeDb() {
+    if (practiceDbPromise) return practiceDbPromise;
+
+    practiceDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB не підтримується'));
+            return;
+        }
+
+        const request = indexedDB.open(PRACTICE_DB_NAME, PRACTICE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                sessions.createIndex('song', 'song');
+            }
+            if (!db.objectStoreNames.contains('songs')) {
+                db.createObjectStore('songs', { keyPath: 'name' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry later if opening failed
+    practiceDbPromise.catch(() => {
+        practiceDbPromise = null;
+    });
+
+    return practiceDbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ */
+async function runPracticeDbRequest(storeName, mode, makeRequest) {
+    const db = await openPracticeDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get stored settings (track mapping etc.) for a song, or null
+ */
+async function getSongSettings(songName) {
+    try {
+        const record = await runPracticeDbRequest('songs', 'readonly', store => store.get(songName));
+        return record || null;
+    } catch (error) {
+        console.warn('⚠️ Could not read song settings:', error);
+        return null;
+    }
+}
+
+/**
+ * Merge settings into the stored record for a song.
+ * Read and write share one transaction, so concurrent saves of other fields aren't lost.
+ */
+async function saveSongSettings(songName, settings) {
+    try {
+        const db = await openPracticeDb();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('songs', 'readwrite');
+            const store = transaction.objectStore('songs');
+            const request = store.get(songName);
+            request.onsuccess = () => store.put({ ...request.result, ...settings, name: songName });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.warn('⚠️ Could not save song settings:', error);
+    }
+}
+
+/**
+ * Save the running lesson as a practice session
+ * @param {number} reachedMs - Lesson position the student got to
+ */
+async function recordPracticeSession(reachedMs) {
+    if (!lessonStartTime || !lessonDuration) return;
+
+    const stats = lessonStats || createLessonStats();
+    const attempts = stats.correctNotes + stats.wrongNotes + stats.missedNotes;
+
+    // Don't clutter the history with lessons stopped before the first note
+    if (attempts === 0) return;
+
+    const session = {
+        song: lessonName,
+        date: Date.now(),
+        durationMs: Date.now() - lessonStartTime,
+        hands: { left: leftHandActive, right: rightHandActive },
+        reachedMs: Math.round(reachedMs),
+        tempo: lessonTempo,
+        completion: Math.min(1, reachedMs / lessonDuration),
+        mode: stats.mode,
+        accuracy: getLessonAccuracy(stats),
+        correctNotes: stats.correctNotes,
+        wrongNotes: stats.wrongNotes
+    };
+
+    try {
+        await runPracticeDbRequest('sessions', 'readwrite', store => store.add(session));
+        console.log(`💾 Practice session saved: ${session.song} (${Math.round(session.completion * 100)}%)`);
+    } catch (error) {
+        console.warn('⚠️ Could not save practice session:', error);
+    }
+}
+
+/**
+ * Get all saved practice sessions, oldest first
+ */
+async function getPracticeSessions() {
+    const sessions = await runPracticeDbRequest('sessions', 'readonly', store => store.getAll());
+    return sessions.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Show the practice history modal with per-song progress
+ */
+async function showHistoryUI() {
+    const modal = document.getElementById('historyModal');
+    const songList = document.getElementById('historySongList');
+    const details = document.getElementById('historyDetails');
+
+    modal.classList.add('active');
+    songList.innerHTML = '';
+    details.innerHTML = '';
+
+    let sessions;
+    try {
+        sessions = await getPracticeSessions();
+    } catch (error) {
+        console.warn('⚠️ Could not load practice history:', error);
+        songList.innerHTML = '<p class="history-empty">Історія недоступна в цьому браузері</p>';
+        return;
+    }
+
+    if (sessions.length === 0) {
+        songList.innerHTML = '<p class="history-empty">Ще немає занять. Завершіть урок, щоб побачити прогрес.</p>';
+        return;
+    }
+
+    // Group sessions by song
+    const songs = new Map();
+    sessions.forEach(session => {
+        if (!songs.has(session.song)) songs.set(session.song, []);
+        songs.get(session.song).push(session);
+    });
+
+    if (!historySelectedSong || !songs.has(historySelectedSong)) {
+        historySelectedSong = sessions[sessions.length - 1].song;
+    }
+
+    songs.forEach((songSessions, song) => {
+        const bestAccuracy = Math.max(...songSessions.map(session => session.accuracy));
+        const bestCompletion = Math.max(...songSessions.map(session => session.completion));
+
+        const item = document.createElement('button');
+        item.className = `history-song${song === historySelectedSong ? ' active' : ''}`;
+        item.innerHTML = `
+            <span class="track-name"></span>
+            <span class="track-meta">${songSessions.length} занять · точність ${Math.round(bestAccuracy * 100)}% · пройдено ${Math.round(bestCompletion * 100)}%</span>
+        `;
+        item.querySelector('.track-name').textContent = song; // File names are chosen by the user
+        item.addEventListener('click', () => {
+            historySelectedSong = song;
+            songList.querySelectorAll('.history-song').forEach(el => el.classList.remove('active'));
+            item.classList.add('active');
+            renderSongHistory(details, songs.get(song));
+        });
+        songList.appendChild(item);
+    });
+
+    renderSongHistory(details, songs.get(historySelectedSong));
+}
+
+/**
+ * Render the progress chart and recent sessions for one song
+ */
+function renderSongHistory(container, sessions) {
+    const handsLabel = hands => {
+        if (hands.left && hands.right) return 'Обидві';
+        return hands.left ? 'Ліва' : 'Права';
+    };
+
+    const rows = sessions.slice(-8).reverse().map(session => `
+        <tr>
+            <td>${new Date(session.date).toLocaleDateString('uk-UA')}</td>
+            <td>${formatTime(session.durationMs)}</td>
+            <td>${handsLabel(session.hands)}</td>
+            <td>${Math.round(session.completion * 100)}%</td>
+            <td>${Math.round(session.accuracy * 100)}%</td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <canvas class="history-chart" id="historyChart"></canvas>
+        <div class="history-legend">
+            <span class="legend-accuracy">Точність</span>
+            <span class="legend-completion">Пройдено</span>
+        </div>
+        <table class="history-table">
+            <thead>
+                <tr><th>Дата</th><th>Тривалість</th><th>Руки</th><th>Пройдено</th><th>Точність</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    drawHistoryChart(document.getElementById('historyChart'), sessions);
+}
+
+/**
+ * Draw accuracy (line) and completion (bars) per session
+ */
+function drawHistoryChart(canvas, sessions) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.offsetWidth || 440;
+    const height = canvas.offsetHeight || 160;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+
+    const padding = { top: 10, right: 10, bottom: 20, left: 34 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const points = sessions.slice(-20);
+    const step = chartWidth / points.length;
+    const valueToY = value => padding.top + chartHeight * (1 - value);
+
+    // Horizontal grid (0%, 50%, 100%)
+    ctx.font = '10px Inter, sans-serif';
+    ctx.fillStyle = '#94a3b8';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    [0, 0.5, 1].forEach(value => {
+        const y = valueToY(value);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(`${value * 100}%`, 0, y + 3);
+    });
+
+    // Completion bars
+    ctx.fillStyle = 'rgba(148, 163, 184, 0.35)';
+    points.forEach((session, i) => {
+        const x = padding.left + i * step + step * 0.2;
+        const y = valueToY(session.completion);
+        ctx.fillRect(x, y, step * 0.6, padding.top + chartHeight - y);
+    });
+
+    // Accuracy line
+    ctx.strokeStyle = '#6366f1';
+    ctx.fillStyle = '#6366f1';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((session, i) => {
+        const x = padding.left + i * step + step / 2;
+        const y = valueToY(session.accuracy);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    points.forEach((session, i) => {
+        ctx.beginPath();
+        ctx.arc(padding.left + i * step + step / 2, valueToY(session.accuracy), 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // First and last dates
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText(new Date(points[0].date).toLocaleDateString('uk-UA'), padding.left, height - 4);
+    const lastLabel = new Date(points[points.length - 1].date).toLocaleDateString('uk-UA');
+    ctx.fillText(lastLabel, width - padding.right - ctx.measureText(lastLabel).width, height - 4);
+}
+
+/**
+ * Extract library details from a parsed MIDI file
+ * @param {Midi} midi - Parsed MIDI file
+ * @param {string} fileName - File name (fallback for title/composer)
+ * @returns {Object} { title, composer, durationMs, noteCount, lowNote, highNote, difficulty }
+ */
+function getSongMeta(midi, fileName) {
+    const baseName = fileName.replace(/\.midi?$/i, '');
+    let title = (midi.header.name || '').replace(/\0/g, '').trim();
+    let composer = '';
+
+    // piano-midi.de files carry "Composer: Title" as the name of a note-less track
+    const infoTrack = midi.tracks.find(track => track.notes.length === 0 && /^[^:]+: .+/.test(track.name));
+    if (infoTrack) {
+        const separator = infoTrack.name.indexOf(': ');
+        composer = infoTrack.name.slice(0, separator).trim();
+        title = infoTrack.name.slice(separator + 2).trim();
+    } else {
+        // Otherwise the first text event usually names the composer; "Artist - Title" file names work too
+        const composerText = midi.header.meta.find(event => event.type === 'text' && !event.text.includes('\n'));
+        if (composerText) composer = composerText.text.trim();
+        const nameParts = baseName.split(' - ');
+        if (!composer && nameParts.length > 1) {
+            composer = nameParts[0];
+            title = nameParts.slice(1).join(' - ');
+        }
+    }
+
+    // Percussion (channel 10) is not part of the piano part; hands are estimated with auto split
+    const notes = midi.tracks
+        .filter(track => track.channel !== 9)
+        .flatMap(track => track.notes.map(note => ({ midi: note.midi, time: note.time, duration: note.duration })));
+    autoSplitHands(notes, DEFAULT_SPLIT_POINT);
+    return {
+        title: title || baseName,
+        composer,
+        durationMs: Math.round(midi.duration * 1000),
+        noteCount: notes.length,
+        lowNote: notes.length ? notes.reduce((low, note) => Math.min(low, note.midi), 127) : null,
+        highNote: notes.length ? notes.reduce((high, note) => Math.max(high, note.midi), 0) : null,
+        difficulty: rateHands(notes)
+    };
+}
+
+/**
+ * Fetch a bundled song from the midi/ folder
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchBundledSong(fileName) {
+    const response = await fetch(LIBRARY_FOLDER + encodeURIComponent(fileName));
+    if (!response.ok) throw new Error(`Не вдалося завантажити ${fileName}`);
+    return response.arrayBuffer();
+}
+
+/**
+ * Keep an uploaded file in the library so it can be opened again later
+ */
+async function addUploadedSong(file) {
+    try {
+        const data = await file.arrayBuffer();
+        const meta = getSongMeta(new Midi(data), file.name);
+        await saveSongSettings(file.name, { source: 'uploaded', data, meta });
+    } catch (error) {
+        console.warn('⚠️ Could not add song to library:', error);
+    }
+}
+
+/**
+ * Open the library: bundled songs plus everything uploaded before
+ */
+async function showLibraryUI() {
+    const modal = document.getElementById('libraryModal');
+    const list = document.getElementById('libraryList');
+    modal.classList.add('active');
+    list.innerHTML = '<p class="history-empty">Завантаження бібліотеки...</p>';
+
+    let records = [];
+    try {
+        records = await runPracticeDbRequest('songs', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.warn('⚠️ Could not read the song library:', error);
+    }
+    const recordsByName = new Map(records.map(record => [record.name, record]));
+
+    librarySongs = BUNDLED_SONGS.map(name => ({ ...recordsByName.get(name), name, source: 'bundled' }));
+    records
+        .filter(record => record.source === 'uploaded' && !BUNDLED_SONGS.includes(record.name))
+        .forEach(record => librarySongs.push(record));
+
+    renderLibrary();
+
+    // Songs are parsed once, their details are cached with the song settings
+    for (const song of librarySongs) {
+        if (song.meta && song.meta.difficulty !== undefined) continue;
+        try {
+            const data = song.source === 'uploaded' ? song.data : await fetchBundledSong(song.name);
+            song.meta = getSongMeta(new Midi(data), song.name);
+            await saveSongSettings(song.name, { meta: song.meta });
+        } catch (error) {
+            console.warn('⚠️ Could not read library song:', song.name, error);
+            song.meta = null;
+            song.unavailable = true;
+        }
+        if (modal.classList.contains('active')) renderLibrary();
+    }
+}
+
+/**
+ * Render the library list with the current search and favourites filter
+ */
+function renderLibrary() {
+    const list = document.getElementById('libraryList');
+    const query = document.getElementById('librarySearch').value.trim().toLowerCase();
+    document.getElementById('libraryFavouritesBtn').classList.toggle('active', libraryFavouritesOnly);
+
+    const songs = librarySongs
+        .filter(song => !libraryFavouritesOnly || song.favourite)
+        .filter(song => {
+            if (!query) return true;
+            const meta = song.meta || {};
+            return [song.name, meta.title, meta.composer].some(text => text && text.toLowerCase().includes(query));
+        })
+        .sort((a, b) => (b.favourite ? 1 : 0) - (a.favourite ? 1 : 0) || compareLibrarySongs(a, b));
+
+    list.innerHTML = '';
+    if (songs.length === 0) {
+        list.innerHTML = '<p class="history-empty">Нічого не знайдено</p>';
+        return;
+    }
+
+    songs.forEach(song => {
+        const meta = song.meta;
+        const details = meta
+            ? [
+                meta.difficulty !== null ? `складність ${meta.difficulty}` : null,
+                formatTime(meta.durationMs),
+                `${meta.noteCount} нот`,
+                meta.lowNote !== null ? `${getNoteNameFromMidi(meta.lowNote)}–${getNoteNameFromMidi(meta.highNote)}` : null,
+                song.source === 'uploaded' ? 'завантажено' : null
+            ].filter(Boolean).join(' · ')
+            : (song.unavailable ? 'Файл недоступний' : 'Аналіз...');
+
+        const item = document.createElement('div');
+        item.className = 'library-song';
+        item.innerHTML = `
+            <button class="library-favourite${song.favourite ? ' active' : ''}" title="Обране">★</button>
+            <button class="library-song-info">
+                <span class="track-name"></span>
+                <span class="track-meta"></span>
+            </button>
+        `;
+        // Titles and composers come from the MIDI files, so they go in as text
+        item.querySelector('.track-name').textContent = meta ? meta.title : song.name;
+        item.querySelector('.track-meta').textContent = `${meta && meta.composer ? `${meta.composer} · ` : ''}${details}`;
+        item.querySelector('.library-favourite').addEventListener('click', () => {
+            song.favourite = !song.favourite;
+            saveSongSettings(song.name, { favourite: song.favourite });
+            renderLibrary();
+        });
+        item.querySelector('.library-song-info').addEventListener('click', () => openLibrarySong(song));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Order two library songs by the selected sort key (songs not analysed yet go last)
+ */
+function compareLibrarySongs(a, b) {
+    const sortKey = document.getElementById('librarySort').value;
+    const titleOf = song => (song.meta && song.meta.title) || song.name;
+
+    if (sortKey === 'title') return titleOf(a).localeCompare(titleOf(b));
+
+    const valueOf = song => (song.meta && song.meta[sortKey] !== null && song.meta[sortKey] !== undefined)
+        ? song.meta[sortKey]
+        : Infinity;
+    return valueOf(a) - valueOf(b) || titleOf(a).localeCompare(titleOf(b));
+}
+
+/**
+ * Load a library song into the lesson (opens the track mapper)
+ */
+async function openLibrarySong(song) {
+    try {
+        const data = song.source === 'uploaded' ? song.data : await fetchBundledSong(song.name);
+        document.getElementById('libraryModal').classList.remove('active');
+        await loadLessonFromMidi(new File([data], song.name, { type: 'audio/midi' }));
+    } catch (error) {
+        console.error('❌ Помилка завантаження пісні:', error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Rewind the lesson by a specified amount (in milliseconds)
+ */
+function rewindLesson(ms) {
+    skipLesson(-ms);
+}
+
+/**
+ * Move the lesson forward (or back, with a negative amount) from the current position
+ */
+function skipLesson(deltaMs) {
+    if (!lessonActive || !currentLessonEvents) return;
+
+    seekLesson(Math.min(getLessonElapsedTime() + deltaMs, lessonDuration - HIT_LINE_LEAD_MS));
+}
+
+/**
+ * Pause or resume the lesson clock on the student's request
+ * (works on top of the waiting pause without losing its bookkeeping)
+ */
+function toggleLessonPause() {
+    if (!lessonActive) return;
+
+    if (!lessonUserPaused) {
+        lessonUserPaused = true;
+        userPauseStartTime = Date.now();
+        console.log('⏸️ Lesson paused');
+    } else {
+        const pausedFor = Date.now() - userPauseStartTime;
+        lessonPausedTime += pausedFor;
+        if (lessonPaused) lessonPauseStartTime += pausedFor;
+        lessonUserPaused = false;
+        userPauseStartTime = null;
+        console.log('▶️ Lesson resumed');
+    }
+
+    updateTimeline();
+}
+
+/**
+ * Seek to a point of the timeline
+ * @param {number} fraction - 0..1 of the lesson (hit-line position)
+ */
+function seekToTimelineFraction(fraction) {
+    const clamped = Math.max(0, Math.min(1, fraction));
+    seekLesson(clamped * lessonDuration - HIT_LINE_LEAD_MS);
+    updateTimeline();
+}
+
+/**
+ * Sync the timeline (progress, time, measure, pause button, loop band) with the lesson clock
+ */
+function updateTimeline() {
+    const timeline = document.getElementById('lessonTimeline');
+    const visible = isLessonMode() && Boolean(currentLessonEvents);
+    timeline.classList.toggle('active', visible);
+    if (!visible) return;
+
+    const position = lessonActive ? Math.min(lessonDuration, getLessonElapsedTime() + HIT_LINE_LEAD_MS) : 0;
+    const percent = lessonDuration > 0 ? (position / lessonDuration) * 100 : 0;
+    document.getElementById('timelineProgress').style.width = `${percent}%`;
+    document.getElementById('timelineHandle').style.left = `${percent}%`;
+
+    const measure = lessonActive ? lessonMsToMeasure(position) : null;
+    document.getElementById('timelineTime').textContent =
+        `${formatTime(position)} / ${formatTime(lessonDuration)}${measure ? ` · такт ${Math.floor(measure)}` : ''}`;
+
+    const mistakes = document.getElementById('timelineMistakes');
+    const wrongNotes = lessonActive && lessonStats ? lessonStats.wrongNotes : 0;
+    mistakes.textContent = `✗ ${wrongNotes}`;
+    mistakes.classList.toggle('has-mistakes', wrongNotes > 0);
+
+    const loopBand = document.getElementById('timelineLoop');
+    const showLoop = loopEnabled && isLoopValid();
+    loopBand.style.display = showLoop ? 'block' : 'none';
+    if (showLoop) {
+        loopBand.style.left = `${(loopStartMs / lessonDuration) * 100}%`;
+        loopBand.style.width = `${((loopEndMs - loopStartMs) / lessonDuration) * 100}%`;
+    }
+
+    const pauseBtn = document.getElementById('pauseLessonBtn');
+    pauseBtn.classList.toggle('active', lessonUserPaused);
+    pauseBtn.title = lessonUserPaused ? 'Продовжити (Пробіл)' : 'Пауза (Пробіл)';
+    pauseBtn.querySelector('.btn-icon').textContent = lessonUserPaused ? '▶' : '⏸';
+    ['pauseLessonBtn', 'skipBackBtn', 'skipForwardBtn'].forEach(id => {
+        document.getElementById(id).disabled = !lessonActive;
+    });
+}
+
+/**
+ * Move the lesson clock to a given time and rebuild the wait state around it
+ */
+function seekLesson(timeMs) {
+    if (!lessonActive || !currentLessonEvents) return;
+
+    const elapsedTime = getLessonElapsedTime();
+
+    // Calculate target time (ensure it doesn't go below 0)
+    const targetTimeMs = Math.max(0, timeMs);
+    console.log(`⏩ Seeking to: ${targetTimeMs}ms (cur: ${elapsedTime}ms)`);
+
+    // We adjust lessonPausedTime to effectively "reset" the start time anchor
+    // Higher lessonPausedTime = Lower elapsedTime
+    // (Date.now() - lessonStartTime - newPausedTime) * tempo = targetTimeMs
+    // newPausedTime = Date.now() - lessonStartTime - targetTimeMs / tempo
+
+    lessonPausedTime = getLessonClockNow() - lessonStartTime - targetTimeMs / lessonTempo;
+
+    // Reset lesson state
+    lessonPaused = false;
+    lessonPauseStartTime = null;
+    waitingNotes.clear();
+    currentChordGroup = null;
+    earlyHits.clear();
+    heldLessonNotes.clear();
+    earlyReleases.clear(); // Notes are played (and outlined) again from the new position
+
+    // Recalculate currentEventIndex
+    // We need to find the first NoteOn event where timeMs >= targetTimeMs
+    // (performance mode: the first note that can still be played in time at the hit line)
+    const firstTimeMs = currentMode === 'performance'
+        ? targetTimeMs + HIT_LINE_LEAD_MS - PERFORMANCE_WINDOW_MS
+        : targetTimeMs;
+    let newIndex = currentLessonEvents.length;
+    for (let i = 0; i < currentLessonEvents.length; i++) {
+        if (currentLessonEvents[i].action === 'NoteOn' && currentLessonEvents[i].timeMs >= firstTimeMs) {
+            newIndex = i;
+            break;
+        }
+    }
+    currentEventIndex = newIndex;
+
+    // Notes from here on can be played (and judged) again
+    for (const index of performanceJudgements.keys()) {
+        if (index >= newIndex) performanceJudgements.delete(index);
+    }
+
+    syncLessonPedal(targetTimeMs);
+
+    console.log(`📍 New event index for lesson: ${currentEventIndex}`);
+}
+
+/**
+ * Performance mode, every frame: auto-play notes of disabled hands and
+ * mark notes that left the timing window unplayed as missed (auto-playing them too)
+ */
+function updatePerformance(elapsedTime) {
+    const hitLineTime = elapsedTime + HIT_LINE_LEAD_MS;
+
+    for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+        const event = currentLessonEvents[i];
+        if (event.timeMs > hitLineTime) break;
+
+        const resolved = event.action !== 'NoteOn' || performanceJudgements.has(i);
+        if (!resolved) {
+            const isLeftHand = isEventLeftHand(event);
+
+            if (!isEventPlayable(event)) {
+                playNoteSound(event.note, event.durationMs / lessonTempo, isLeftHand);
+                performanceJudgements.set(i, 'auto');
+            } else if (event.timeMs + PERFORMANCE_WINDOW_MS < hitLineTime) {
+                console.log(`💨 Missed: ${getNoteNameFromMidi(event.note)}`);
+                playNoteSound(event.note, event.durationMs / lessonTempo, isLeftHand);
+                performanceJudgements.set(i, 'missed');
+                lessonStats.missedNotes++;
+                lessonStats.currentStreak = 0;
+                showPerformanceFeedback('missed');
+            } else {
+                continue;
+            }
+        }
+
+        // Everything up to here is settled: the next frame can start after it
+        if (i === currentEventIndex) currentEventIndex++;
+    }
+}
+
+/**
+ * Performance mode: judge a key press against the notes near the hit line
+ */
+function judgePerformanceNote(noteNumber) {
+    if (currentMode !== 'performance' || !lessonActive || !lessonStats) return;
+
+    const hitLineTime = getLessonElapsedTime() + HIT_LINE_LEAD_MS;
+
+    // Closest unjudged note of this pitch within the timing window
+    let bestIndex = -1;
+    let bestOffset = Infinity;
+    for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
+        const event = currentLessonEvents[i];
+        if (event.timeMs > hitLineTime + PERFORMANCE_WINDOW_MS) break;
+        if (event.action !== 'NoteOn' || event.note !== noteNumber || performanceJudgements.has(i)) continue;
+
+        const offset = hitLineTime - event.timeMs; // positive = late
+        if (Math.abs(offset) <= PERFORMANCE_WINDOW_MS && Math.abs(offset) < Math.abs(bestOffset)) {
+            bestIndex = i;
+            bestOffset = offset;
+        }
+    }
+
+    if (bestIndex === -1) {
+        console.log(`❌ Wrong note: ${getNoteNameFromMidi(noteNumber)}`);
+        lessonStats.wrongNotes++;
+        lessonStats.currentStreak = 0;
+        showPerformanceFeedback('wrong');
+        flashWrongNote(noteNumber);
+        return;
+    }
+
+    let judgement = 'hit';
+    if (Math.abs(bestOffset) > PERFORMANCE_HIT_MS) {
+        judgement = bestOffset < 0 ? 'early' : 'late';
+    }
+
+    performanceJudgements.set(bestIndex, judgement);
+    heldLessonNotes.set(noteNumber, currentLessonEvents[bestIndex]);
+    recordDynamics(currentLessonEvents[bestIndex], notePressVelocities.get(noteNumber));
+    lessonStats.correctNotes++;
+    if (judgement === 'early') lessonStats.earlyNotes++;
+    if (judgement === 'late') lessonStats.lateNotes++;
+    lessonStats.offsets = lessonStats.offsets || [];
+    lessonStats.offsets.push(bestOffset);
+
+    // Combo bonus: +10% for every 10 notes in a row, up to double points
+    lessonStats.currentStreak++;
+    lessonStats.bestStreak = Math.max(lessonStats.bestStreak, lessonStats.currentStreak);
+    const multiplier = Math.min(2, 1 + Math.floor(lessonStats.currentStreak / 10) * 0.1);
+    lessonStats.score += Math.round(PERFORMANCE_POINTS[judgement] * multiplier);
+
+    showPerformanceFeedback(judgement);
+}
+
+/**
+ * Show a judgement at the hit line and refresh the score display
+ */
+function showPerformanceFeedback(judgement) {
+    const labels = {
+        hit: ['Точно!', '#059669'],
+        early: ['Рано', '#d97706'],
+        late: ['Пізно', '#d97706'],
+        missed: ['Пропущено', '#ef4444'],
+        wrong: ['Не та нота', '#ef4444'],
+        apart: ['Разом!', '#d97706'],
+        short: ['Затримайте ноту', '#f97316'],
+        louder: ['Голосніше', '#d97706'],
+        softer: ['Тихіше', '#d97706']
+    };
+    const [text, color] = labels[judgement];
+    performanceFeedback = { text, color, time: Date.now() };
+    updatePerformanceHud();
+}
+
+/**
+ * Draw the latest judgement above the hit line (fades out)
+ */
+function drawPerformanceFeedback(width, height) {
+    if (!performanceFeedback) return;
+
+    const age = Date.now() - performanceFeedback.time;
+    if (age > 600) {
+        performanceFeedback = null;
+        return;
+    }
+
+    pianoRollCtx.save();
+    pianoRollCtx.globalAlpha = 1 - age / 600;
+    pianoRollCtx.fillStyle = performanceFeedback.color;
+    pianoRollCtx.font = '700 20px Inter, sans-serif';
+    pianoRollCtx.textAlign = 'center';
+    pianoRollCtx.fillText(performanceFeedback.text, width / 2, height - HIT_LINE_Y_OFFSET - 20 - age / 20);
+    pianoRollCtx.restore();
+}
+
+/**
+ * Update the running score display over the piano roll
+ */
+function updatePerformanceHud() {
+    const hud = document.getElementById('performanceHud');
+    const visible = currentMode === 'performance' && lessonActive && lessonStats;
+    hud.classList.toggle('active', Boolean(visible));
+    if (!visible) return;
+
+    document.getElementById('hudScore').textContent = lessonStats.score;
+    document.getElementById('hudCombo').textContent = `×${lessonStats.currentStreak}`;
+    document.getElementById('hudAccuracy').textContent = `${Math.round(getLessonAccuracy(lessonStats) * 100)}%`;
+}
+
+/**
+ * Convert a lesson time to a 1-based (fractional) measure number
+ */
+function lessonMsToMeasure(timeMs) {
+    if (!lessonMidiHeader) return null;
+
+    const seconds = Math.max(0, (timeMs - lessonTimeOffsetMs) / 1000);
+    const ticks = lessonMidiHeader.secondsToTicks(seconds);
+    return lessonMidiHeader.ticksToMeasures(ticks) + 1;
+}
+
+/**
+ * Convert a 1-based measure number to the lesson time of its downbeat
+ */
+function measureToLessonMs(measure) {
+    if (!lessonMidiHeader) return null;
+
+    const header = lessonMidiHeader;
+    const signatures = header.timeSignatures.length > 0
+        ? header.timeSignatures
+        : [{ ticks: 0, timeSignature: [4, 4], measures: 0 }];
+
+    // Find the time signature in effect at this measure
+    const measureIndex = Math.max(0, measure - 1);
+    let signature = signatures[0];
+    signatures.forEach(sig => {
+        if (sig.measures <= measureIndex) signature = sig;
+    });
+
+    const [numerator, denominator] = signature.timeSignature;
+    const ticksPerMeasure = header.ppq * 4 * numerator / denominator;
+    const ticks = signature.ticks + (measureIndex - signature.measures) * ticksPerMeasure;
+
+    return Math.round(header.ticksToSeconds(ticks) * 1000) + lessonTimeOffsetMs;
+}
+
+/**
+ * Remove the A-B loop markers
+ */
+function clearLoop() {
+    loopStartMs = null;
+    loopEndMs = null;
+    loopEnabled = false;
+    loopRepeatsDone = 0;
+    updateLoopUI();
+}
+
+/**
+ * Set a loop marker ('start' or 'end') at a lesson time
+ */
+function setLoopMarker(which, timeMs) {
+    if (which === 'start') {
+        loopStartMs = timeMs;
+    } else {
+        loopEndMs = timeMs;
+    }
+    loopRepeatsDone = 0;
+
+    // A loop needs both markers in the right order
+    if (loopEnabled && !isLoopValid()) loopEnabled = false;
+
+    console.log(`🔁 Loop ${which === 'start' ? 'A' : 'B'} set at ${formatTime(timeMs)}`);
+    updateLoopUI();
+}
+
+/**
+ * Check that both loop markers are set and A is before B
+ */
+function isLoopValid() {
+    return loopStartMs !== null && loopEndMs !== null && loopEndMs > loopStartMs;
+}
+
+/**
+ * Jump the lesson back so that the loop start sits on the hit line
+ */
+function jumpToLoopStart() {
+    seekLesson(loopStartMs - HIT_LINE_LEAD_MS);
+    loopPassStartWrongNotes = lessonStats ? lessonStats.wrongNotes : 0;
+}
+
+/**
+ * Called every frame: jump back to A once the hit line passes B
+ */
+function checkLoopBoundary() {
+    if (!loopEnabled || !lessonActive || lessonPaused || !isLoopValid()) return;
+
+    const hitLineTime = getLessonElapsedTime() + HIT_LINE_LEAD_MS;
+    if (hitLineTime < loopEndMs) return;
+
+    loopRepeatsDone++;
+    if (lessonStats && lessonStats.wrongNotes === loopPassStartWrongNotes) onCleanPass();
+
+    if (loopRepeatTarget === 0 || loopRepeatsDone < loopRepeatTarget) {
+        console.log(`🔁 Loop pass ${loopRepeatsDone} done, back to A`);
+        jumpToLoopStart();
+    } else {
+        console.log(`🔁 Loop finished after ${loopRepeatsDone} passes, moving on`);
+        loopEnabled = false;
+        loopRepeatsDone = 0;
+    }
+    updateLoopUI();
+}
+
+/**
+ * Turn the A-B loop on or off
+ */
+function toggleLoop() {
+    if (!isLoopValid()) {
+        console.warn('⚠️ Set loop points A and B first (A before B)');
+        return;
+    }
+    loopEnabled = !loopEnabled;
+    loopRepeatsDone = 0;
+
+    // Start practising the passage right away if we're outside it
+    if (loopEnabled && lessonActive) {
+        const hitLineTime = getLessonElapsedTime() + HIT_LINE_LEAD_MS;
+        if (hitLineTime < loopStartMs || hitLineTime >= loopEndMs) jumpToLoopStart();
+        loopPassStartWrongNotes = lessonStats ? lessonStats.wrongNotes : 0;
+    }
+    updateLoopUI();
+}
+
+/**
+ * Sync loop controls with the loop state
+ */
+function updateLoopUI() {
+    const loopToggleBtn = document.getElementById('loopToggleBtn');
+    if (!loopToggleBtn) return;
+
+    loopToggleBtn.classList.toggle('active', loopEnabled);
+    document.getElementById('loopStartBtn').classList.toggle('set', loopStartMs !== null);
+    document.getElementById('loopEndBtn').classList.toggle('set', loopEndMs !== null);
+
+    // Show markers as measure numbers (B is shown as the last measure inside the loop)
+    const startMeasureInput = document.getElementById('loopStartMeasure');
+    const endMeasureInput = document.getElementById('loopEndMeasure');
+    if (document.activeElement !== startMeasureInput) {
+        startMeasureInput.value = loopStartMs !== null ? Math.floor(lessonMsToMeasure(loopStartMs)) : '';
+    }
+    if (document.activeElement !== endMeasureInput) {
+        endMeasureInput.value = loopEndMs !== null ? Math.max(1, Math.ceil(lessonMsToMeasure(loopEndMs)) - 1) : '';
+    }
+
+    const passes = loopRepeatTarget === 0 ? '∞' : `${loopRepeatsDone}/${loopRepeatTarget}`;
+    loopToggleBtn.title = loopEnabled ? `Петля A–B (${passes})` : 'Петля A–B';
+}
+
+/**
+ * Draw the A-B loop region on the piano roll
+ */
+function drawLoopRegion(width, height, elapsedTime) {
+    if (loopStartMs === null && loopEndMs === null) return;
+
+    const timeToY = timeMs => height - (timeMs - elapsedTime) * PIXELS_PER_MS;
+
+    pianoRollCtx.save();
+
+    if (isLoopValid()) {
+        const topY = Math.max(0, timeToY(loopEndMs));
+        const bottomY = Math.min(height, timeToY(loopStartMs));
+        if (bottomY > topY) {
+            pianoRollCtx.fillStyle = loopEnabled ? 'rgba(16, 185, 129, 0.08)' : 'rgba(148, 163, 184, 0.08)';
+            pianoRollCtx.fillRect(0, topY, width, bottomY - topY);
+        }
+    }
+
+    // Marker lines with labels
+    pianoRollCtx.strokeStyle = loopEnabled ? 'rgba(16, 185, 129, 0.7)' : 'rgba(100, 116, 139, 0.5)';
+    pianoRollCtx.fillStyle = pianoRollCtx.strokeStyle;
+    pianoRollCtx.lineWidth = 2;
+    pianoRollCtx.font = '600 12px Inter, sans-serif';
+    [[loopStartMs, 'A'], [loopEndMs, 'B']].forEach(([timeMs, label]) => {
+        if (timeMs === null) return;
+        const y = timeToY(timeMs);
+        if (y < 0 || y > height) return;
+        pianoRollCtx.beginPath();
+        pianoRollCtx.moveTo(0, y);
+        pianoRollCtx.lineTo(width, y);
+        pianoRollCtx.stroke();
+        pianoRollCtx.fillText(label, 6, y - 4);
+    });
+
+    pianoRollCtx.restore();
+}
+
+/**
+ * Start a new free play take
+ */
+function startRecording() {
+    stopPlayback();
+    isRecording = true;
+    recordingStartTime = performance.now();
+    recordedEvents = [];
+    console.log('⏺️ Recording started');
+    updateRecorderUI();
+}
+
+/**
+ * Finish the current take and keep it as the last recording
+ */
+function stopRecording() {
+    if (!isRecording) return;
+
+    const durationMs = performance.now() - recordingStartTime;
+    isRecording = false;
+
+    // Close notes still held when recording stopped
+    const openNotes = new Set();
+    recordedEvents.forEach(event => {
+        if (event.type === 'noteOn') openNotes.add(event.note);
+        else if (event.type === 'noteOff') openNotes.delete(event.note);
+    });
+    openNotes.forEach(note => {
+        recordedEvents.push({ type: 'noteOff', note: note, velocity: 0, timeMs: durationMs });
+    });
+
+    if (recordedEvents.some(event => event.type === 'noteOn')) {
+        lastRecording = { events: recordedEvents, durationMs: durationMs, date: new Date() };
+        console.log(`⏹️ Recording stopped: ${recordedEvents.length} events, ${formatTime(durationMs)}`);
+    } else {
+        console.log('⏹️ Recording stopped: nothing was played');
+    }
+    recordedEvents = [];
+    updateRecorderUI();
+}
+
+/**
+ * Append a MIDI event to the running take
+ * @param {Object} event - { type, note, velocity } or { type: 'control', controller, value }
+ * @param {number} timeStamp - MIDI message timestamp (performance.now() clock), if available
+ */
+function recordMidiEvent(event, timeStamp) {
+    if (!isRecording || currentMode !== 'freeplay') return;
+
+    const time = timeStamp || performance.now();
+    event.timeMs = Math.max(0, time - recordingStartTime);
+    recordedEvents.push(event);
+}
+
+/**
+ * Play the last take back through the sampler (and the keyboard display)
+ */
+async function playRecording() {
+    if (!lastRecording) return;
+
+    stopPlayback();
+    await initAudio();
+
+    lastRecording.events.forEach(event => {
+        const timer = setTimeout(() => playRecordedEvent(event), event.timeMs);
+        playbackTimers.push(timer);
+    });
+    playbackTimers.push(setTimeout(stopPlayback, lastRecording.durationMs + 100));
+
+    console.log('▶️ Playing back recording');
+    updateRecorderUI();
+}
+
+/**
+ * Play a single recorded event
+ */
+function playRecordedEvent(event) {
+    if (!pianoSynth) return;
+
+    if (event.type === 'noteOn') {
+        samplerNoteOn(event.note, event.velocity);
+        activateKey(event.note, event.velocity, true);
+        addNoteToRoll(event.note, event.velocity);
+    } else if (event.type === 'noteOff') {
+        deactivateKey(event.note, true);
+        samplerNoteOff(event.note);
+    } else if (event.type === 'control' && event.controller === 64) {
+        setSustainPedal(event.value >= 64);
+    }
+}
+
+/**
+ * Stop playback and silence everything it started
+ */
+function stopPlayback() {
+    if (playbackTimers.length === 0) return;
+
+    playbackTimers.forEach(timer => clearTimeout(timer));
+    playbackTimers = [];
+    setSustainPedal(false);
+    if (pianoSynth) pianoSynth.releaseAll();
+    releaseFreeplayVoices();
+    if (lastRecording) {
+        lastRecording.events.forEach(event => {
+            if (event.type === 'noteOn') deactivateKey(event.note, true);
+        });
+    }
+    updateRecorderUI();
+}
+
+/**
+ * Encode the last take as a Standard MIDI File (format 0, 120 BPM)
+ * @returns {Uint8Array} File bytes
+ */
+function recordingToMidiBytes(recording) {
+    if (typeof JZZ === 'undefined' || !JZZ.MIDI.SMF) {
+        throw new Error('JZZ SMF не завантажено');
+    }
+
+    const PPQ = 480;
+    const BPM = 120;
+    const ticksPerMs = PPQ / (60000 / BPM);
+    const toTicks = timeMs => Math.round(timeMs * ticksPerMs);
+
+    const smf = new JZZ.MIDI.SMF(0, PPQ);
+    const track = new JZZ.MIDI.SMF.MTrk();
+    smf.push(track);
+
+    track.add(0, JZZ.MIDI.smfSeqName('Pianestro'));
+    track.add(0, JZZ.MIDI.smfBPM(BPM));
+    recording.events.forEach(event => {
+        const tick = toTicks(event.timeMs);
+        if (event.type === 'noteOn') {
+            track.add(tick, JZZ.MIDI.noteOn(0, event.note, event.velocity));
+        } else if (event.type === 'noteOff') {
+            track.add(tick, JZZ.MIDI.noteOff(0, event.note));
+        } else if (event.type === 'control') {
+            track.add(tick, JZZ.MIDI.control(0, event.controller, event.value));
+        }
+    });
+    track.add(toTicks(recording.durationMs), JZZ.MIDI.smfEndOfTrack());
+
+    // dump() returns a binary string
+    const binary = smf.dump();
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * File name for the last take, e.g. "Запис 2024-05-01 18-30.mid"
+ */
+function getRecordingFileName(recording) {
+    const date = recording.date;
+    const pad = value => value.toString().padStart(2, '0');
+    return `Запис ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}-${pad(date.getMinutes())}.mid`;
+}
+
+/**
+ * Download the last take as a .mid file
+ */
+function exportRecording() {
+    if (!lastRecording) return;
+
+    try {
+        const bytes = recordingToMidiBytes(lastRecording);
+        const blob = new Blob([bytes], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getRecordingFileName(lastRecording);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log('💾 Recording exported:', link.download);
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert(`Не вдалося експортувати запис: ${error.message}`);
+    }
+}
+
+/**
+ * Open the last take in lesson mode
+ */
+function loadRecordingAsLesson() {
+    if (!lastRecording) return;
+
+    try {
+        const bytes = recordingToMidiBytes(lastRecording);
+        const file = new File([bytes], getRecordingFileName(lastRecording), { type: 'audio/midi' });
+        stopPlayback();
+        setMode('lesson');
+        loadLessonFromMidi(file);
+    } catch (error) {
+        console.error('❌ Could not load recording as lesson:', error);
+        alert(`Не вдалося відкрити запис як урок: ${error.message}`);
+    }
+}
+
+/**
+ * Sync recorder buttons with the recorder state
+ */
+function updateRecorderUI() {
+    const recordBtn = document.getElementById('recordBtn');
+    if (!recordBtn) return;
+
+    const isPlaying = playbackTimers.length > 0;
+    recordBtn.classList.toggle('recording', isRecording);
+    recordBtn.title = isRecording ? 'Зупинити запис' : 'Записати';
+    document.getElementById('playRecordingBtn').disabled = !lastRecording || isRecording;
+    document.getElementById('playRecordingBtn').classList.toggle('active', isPlaying);
+    document.getElementById('exportRecordingBtn').disabled = !lastRecording || isRecording;
+    document.getElementById('recordingToLessonBtn').disabled = !lastRecording || isRecording;
+}
+
+/**
+ * Handle note-on event (from MIDI or virtual piano)
+ */
+function handleNoteOn(noteNumber, velocity) {
+    // Only add to piano roll visualization in freeplay mode, and play it unless the keyboard has its own sound
+    if (currentMode === 'freeplay') {
+        addNoteToRoll(noteNumber, velocity);
+        if (freeplaySound.setup !== 'off') {
+            // MIDI keys aren't a page gesture: load only once a click has started the audio context.
+            // Keys pressed meanwhile sound as soon as the load finishes.
+            if (isAudioInitialized) {
+                samplerNoteOn(noteNumber, velocity);
+            } else {
+                pendingFreeplayNotes.set(noteNumber, velocity);
+                if (Tone.context.state === 'running') loadAudio();
+            }
+        }
+    }
+
+    console.log(`🎹 Note ON: ${getNoteNameFromMidi(noteNumber)} (${noteNumber}) - Velocity: ${velocity}`);
+
+    detectKeyboardRange(noteNumber);
+    notePressTimes.set(noteNumber, Date.now());
+    notePressVelocities.set(noteNumber, velocity);
+
+    // While the student has paused, key presses are not judged
+    if (lessonUserPaused) return;
+
+    // Performance mode judges the timing of every press
+    judgePerformanceNote(noteNumber);
+
+    // Score the press, then check progress on every note press
+    recordNotePress(noteNumber);
+    checkLessonProgress();
+}
+
+/**
+ * Handle note-off event (from MIDI or virtual piano)
+ */
+function handleNoteOff(noteNumber) {
+    console.log(`🎹 Note OFF: ${getNoteNameFromMidi(noteNumber)} (${noteNumber})`);
+    pendingFreeplayNotes.delete(noteNumber);
+    if (currentMode === 'freeplay' && freeplaySound.setup !== 'off') samplerNoteOff(noteNumber);
+    heldSinceReset.delete(noteNumber);
+
+    // Note-length check: was the lesson note held long enough?
+    checkNoteRelease(noteNumber);
+}
+
+/**
+ * Handle incoming MIDI messages
+ */
+function onMIDIMessage(message) {
+    const source = message.target || message.currentTarget || 'default';
+    const messages = parseMidiMessages(message.data, source);
+
+    messages.forEach(({ command, channel, data1, data2 }) => {
+        // Keys, pedals and buttons bound to remote actions don't reach the piano
+        if (handleRemoteMessage(source.name || 'default', command, data1, data2)) return;
+
+        const isNoteOn = command === 0x90 && data2 > 0;
+        const isNoteOff = command === 0x80 || (command === 0x90 && data2 === 0);
+
+        if (isNoteOn) {
+            recordMidiEvent({ type: 'noteOn', note: data1, velocity: data2 }, message.timeStamp);
+            activateKey(data1, data2, true); // fromMIDI = true
+            handleNoteOn(data1, data2);
+        } else if (isNoteOff) {
+            recordMidiEvent({ type: 'noteOff', note: data1, velocity: 0 }, message.timeStamp);
+            deactivateKey(data1, true); // fromMIDI = true
+            handleNoteOff(data1);
+        } else if (command === 0xB0) {
+            recordMidiEvent({ type: 'control', controller: data1, value: data2 }, message.timeStamp);
+            handleControlChange(channel, data1, data2);
+        } else if (command === 0xC0) {
+            midiChannelState[channel].program = data1;
+            console.log(`🎛️ Program change (ch ${channel + 1}): ${data1}`);
+        } else if (command === 0xD0) {
+            midiChannelState[channel].pressure = data1;
+        } else if (command === 0xE0) {
+            // 14-bit value, centred at 8192
+            midiChannelState[channel].pitchBend = ((data2 << 7) | data1) - 8192;
+        }
+        // 0xA0 (polyphonic aftertouch) carries nothing we display
+    });
+}
+
+/**
+ * Split raw MIDI bytes into channel voice messages.
+ * Supports running status (data bytes reusing the previous status byte) and
+ * skips system messages (SysEx, clock, active sensing...).
+ * @param {Uint8Array|Array} data - Raw bytes of one MIDI event
+ * @param {*} source - Port the bytes came from (running status is kept per port)
+ * @returns {Array} [{ command, channel, data1, data2 }]
+ */
+function parseMidiMessages(data, source) {
+    const messages = [];
+    let status = midiRunningStatus.get(source) || 0;
+    let i = 0;
+
+    while (i < data.length) {
+        const byte = data[i];
+
+        if (byte >= 0xF8) {
+            // System real-time: may appear anywhere, doesn't affect running status
+            i++;
+            continue;
+        }
+        if (byte >= 0xF0) {
+            // System common / SysEx: cancels running status, skip its data bytes
+            status = 0;
+            i++;
+            while (i < data.length && data[i] < 0x80) i++;
+            continue;
+        }
+        if (byte >= 0x80) {
+            status = byte;
+            i++;
+        }
+        if (!status) {
+            // Stray data byte without a status to apply it to
+            i++;
+            continue;
+        }
+
+        const length = MIDI_MESSAGE_LENGTHS[status & 0xF0];
+        if (i + length > data.length) break;
+
+        messages.push({
+            command: status & 0xF0,
+            channel: status & 0x0F,
+            data1: data[i],
+            data2: length > 1 ? data[i + 1] : 0
+        });
+        i += length;
+    }
+
+    midiRunningStatus.set(source, status);
+    return messages;
+}
+
+/**
+ * Handle a control change: pedals and channel mode messages
+ */
+function handleControlChange(channel, controller, value) {
+    midiChannelState[channel].controllers[controller] = value;
+
+    switch (controller) {
+        case 64: // Sustain (damper)
+            setSustainPedal(value >= 64);
+            break;
+        case 66: // Sostenuto
+            sostenutoPedalDown = value >= 64;
+            updatePedalIndicator();
+            break;
+        case 67: // Soft (una corda)
+            softPedalDown = value >= 64;
+            updatePedalIndicator();
+            break;
+        case 120: // All Sound Off
+        case 123: // All Notes Off
+            Array.from(activeNotes).forEach(note => {
+                deactivateKey(note, true);
+                handleNoteOff(note);
+            });
+            break;
+        case 121: // Reset All Controllers
+            midiChannelState[channel].pitchBend = 0;
+            setSustainPedal(false);
+            sostenutoPedalDown = false;
+            softPedalDown = false;
+            updatePedalIndicator();
+            break;
+    }
+}
 
-    drawNotes();
+/**
+ * Which control a MIDI message comes from, as stored in a remote profile.
+ * Only presses count: note-on, controller crossing 64 and program change.
+ * @returns {Object|null} { type: 'note' | 'cc' | 'program', number, pressed }
+ */
+function getRemoteControl(command, data1, data2) {
+    if (command === 0x90 || command === 0x80) {
+        return { type: 'note', number: data1, pressed: command === 0x90 && data2 > 0 };
+    }
+    if (command === 0xB0) return { type: 'cc', number: data1, pressed: data2 >= 64 };
+    if (command === 0xC0) return { type: 'program', number: data1, pressed: true };
+    return null;
+}
 
-    // Continue animation
-    animationFrameId = requestAnimationFrame(animatePianoRoll);
+/**
+ * Human-readable name of a bound control
+ */
+function describeRemoteControl(control) {
+    if (control.type === 'note') return `Клавіша ${getNoteNameFromMidi(control.number)}`;
+    if (control.type === 'program') return `Програма ${control.number + 1}`;
+    const pedals = { 64: 'Педаль сустейну', 66: 'Педаль состенуто', 67: 'Ліва педаль' };
+    return pedals[control.number] ? `${pedals[control.number]} (CC${control.number})` : `CC${control.number}`;
 }
 
 /**
- * Update MIDI status display
+ * Saved bindings of one input device: { action: { type, number } }
  */
-function updateMIDIStatus(message, type = 'loading') {
-    midiStatusElement.textContent = message;
+function getRemoteProfile(deviceName) {
+    const profiles = loadSettings().remoteProfiles || {};
+    return profiles[deviceName] || {};
+}
 
-    statusIndicator.classList.remove('connected', 'error');
+/**
+ * Bind a control to an action (null clears it). A control drives one action at most.
+ */
+function setRemoteBinding(deviceName, action, control) {
+    const profiles = loadSettings().remoteProfiles || {};
+    const profile = profiles[deviceName] || {};
 
-    if (type === 'success') {
-        statusIndicator.classList.add('connected');
-    } else if (type === 'error') {
-        statusIndicator.classList.add('error');
+    if (control) {
+        Object.keys(profile).forEach(other => {
+            if (profile[other].type === control.type && profile[other].number === control.number) delete profile[other];
+        });
+        profile[action] = { type: control.type, number: control.number };
+        console.log(`🎛️ ${deviceName}: ${describeRemoteControl(control)} → ${REMOTE_ACTIONS[action]}`);
+    } else {
+        delete profile[action];
     }
+
+    profiles[deviceName] = profile;
+    saveSetting('remoteProfiles', profiles);
 }
 
 /**
- * Check if the correct notes are pressed to resume the lesson (Sequential/Cumulative Test Mode)
+ * Learn mode and remote actions for an incoming MIDI message
+ * @returns {boolean} true if the message was used as a remote control and must not be played
  */
-function checkLessonProgress() {
-    if (currentMode !== 'lesson' || !lessonActive || !lessonPaused || waitingNotes.size === 0) {
-        return;
+function handleRemoteMessage(deviceName, command, data1, data2) {
+    const control = getRemoteControl(command, data1, data2);
+    if (!control) return false;
+
+    // The press that was learned and its release never reach the piano or the lesson
+    const controlKey = `${deviceName}:${control.type}:${control.number}`;
+    if (remoteLearnedControl === controlKey) {
+        if (!control.pressed) remoteLearnedControl = null;
+        return true;
     }
 
-    // Check active notes against waiting notes
-    // Sequential Logic: If a correct note is pressed, remove it from the waiting list.
-    // We don't require them to be held simultaneously.
-    for (const note of activeNotes) {
-        if (waitingNotes.has(note)) {
-            console.log(`✨ Correct note pressed: ${getNoteNameFromMidi(note)}`);
-            waitingNotes.delete(note);
-        }
+    if (remoteLearnAction) {
+        if (!control.pressed) return false;
+        setRemoteBinding(deviceName, remoteLearnAction, control);
+        remoteLearnAction = null;
+        remoteLearnedControl = control.type === 'program' ? null : controlKey; // Program changes have no release
+        document.getElementById('remoteProfileSelect').value = deviceName;
+        renderRemoteControls();
+        return true;
     }
 
-    // If no more notes are waiting, resume lesson
-    if (waitingNotes.size === 0) {
-        console.log(`✅ All chord notes satisfied! Resuming lesson...`);
+    const profile = getRemoteProfile(deviceName);
+    const action = Object.keys(profile).find(name =>
+        profile[name].type === control.type && profile[name].number === control.number);
+
+    // Bound controls only navigate a running lesson; in free play they stay playable
+    if (!action || !lessonActive || !isLessonMode()) return false;
+
+    // Controllers fire once when pressed past the middle, not on every value
+    if (control.type === 'cc') {
+        const key = `${deviceName}:${control.number}`;
+        const wasDown = remoteControlsDown.get(key) || false;
+        remoteControlsDown.set(key, control.pressed);
+        if (!control.pressed || wasDown) return true;
+    } else if (!control.pressed) {
+        return true;
+    }
 
-        // Resume the lesson
-        if (lessonPauseStartTime) {
-            lessonPausedTime += (Date.now() - lessonPauseStartTime);
-        }
-        lessonPaused = false;
-        lessonPauseStartTime = null;
+    runRemoteAction(action);
+    return true;
+}
 
-        // Move to next NoteOn event (skipping simultaneous ones we just played)
-        const currentEventTime = currentLessonEvents[currentEventIndex].timeMs;
-        for (let i = currentEventIndex; i < currentLessonEvents.length; i++) {
-            // Find the next group of notes that is LATER than current group
-            // (Use tolerance to skip all notes in the current chord)
-            if (currentLessonEvents[i].timeMs > currentEventTime + CHORD_WINDOW_MS) {
-                // Find start of NEXT group
-                for (let j = i; j < currentLessonEvents.length; j++) {
-                    if (currentLessonEvents[j].action === 'NoteOn') {
-                        currentEventIndex = j;
-                        return;
-                    }
-                }
-                break;
-            }
-        }
+/**
+ * Perform a remote action on the running lesson
+ */
+function runRemoteAction(action) {
+    console.log(`🎛️ Remote: ${REMOTE_ACTIONS[action]}`);
+
+    switch (action) {
+        case 'rewind':
+            skipLesson(-5000);
+            break;
+        case 'forward':
+            skipLesson(5000);
+            break;
+        case 'pause':
+            toggleLessonPause();
+            break;
+        case 'restart':
+            seekToTimelineFraction(0);
+            break;
+        case 'loop':
+            toggleLoop();
+            break;
+        case 'tempoUp':
+            setLessonTempo(lessonTempo + SPEED_TRAINER_STEP);
+            break;
+        case 'tempoDown':
+            setLessonTempo(lessonTempo - SPEED_TRAINER_STEP);
+            break;
+        case 'toggleHands':
+            cycleActiveHands();
+            break;
     }
 }
 
 /**
- * Rewind the lesson by a specified amount (in milliseconds)
+ * Step through both hands → right hand only → left hand only → both hands
  */
-function rewindLesson(ms) {
-    if (!lessonActive || !currentLessonEvents) return;
-
-    // Calculate current elapsed time
-    let elapsedTime;
-    if (lessonPaused) {
-        elapsedTime = lessonPauseStartTime - lessonStartTime - lessonPausedTime;
+function cycleActiveHands() {
+    if (leftHandActive && rightHandActive) {
+        leftHandActive = false;
+    } else if (rightHandActive) {
+        leftHandActive = true;
+        rightHandActive = false;
     } else {
-        elapsedTime = Date.now() - lessonStartTime - lessonPausedTime;
+        leftHandActive = true;
+        rightHandActive = true;
     }
 
-    // Calculate target time (ensure it doesn't go below 0)
-    const targetTimeMs = Math.max(0, elapsedTime - ms);
-    console.log(`⏩ Rewinding to: ${targetTimeMs}ms (cur: ${elapsedTime}ms)`);
+    document.getElementById('leftHandBtn').classList.toggle('active', leftHandActive);
+    document.getElementById('rightHandBtn').classList.toggle('active', rightHandActive);
+    console.log(`Hands: left ${leftHandActive ? 'ON' : 'OFF'}, right ${rightHandActive ? 'ON' : 'OFF'}`);
+    if (lessonPaused) checkLessonProgress();
+}
 
-    // We adjust lessonPausedTime to effectively "reset" the start time anchor
-    // Higher lessonPausedTime = Lower elapsedTime
-    // (Date.now() - lessonStartTime - newPausedTime) = targetTimeMs
-    // newPausedTime = Date.now() - lessonStartTime - targetTimeMs
+/**
+ * Fill the remote control section of the device panel for the selected profile
+ */
+function renderRemoteControls() {
+    const select = document.getElementById('remoteProfileSelect');
+    const list = document.getElementById('remoteActionsList');
+
+    // Profiles: the inputs we listen to plus any device that already has bindings
+    const deviceNames = new Set(Array.from(listeningInputs).map(input => input.name));
+    Object.keys(loadSettings().remoteProfiles || {}).forEach(name => deviceNames.add(name));
+    if (deviceNames.size === 0) deviceNames.add('default');
+
+    const selected = deviceNames.has(select.value) ? select.value : deviceNames.values().next().value;
+    select.innerHTML = '';
+    deviceNames.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name === 'default' ? 'Без пристрою' : name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+
+    // Until something is bound anywhere, explain how to start
+    const hasBindings = Object.values(loadSettings().remoteProfiles || {}).some(profile => Object.keys(profile).length > 0);
+    document.getElementById('remoteHint').style.display = hasBindings ? 'none' : 'block';
+
+    const profile = getRemoteProfile(selected);
+    list.innerHTML = '';
+    Object.entries(REMOTE_ACTIONS).forEach(([action, label]) => {
+        const binding = profile[action];
+        const learning = remoteLearnAction === action;
+        const row = document.createElement('div');
+        row.className = 'remote-action';
+        row.innerHTML = `
+            <span class="track-name">${label}</span>
+            <span class="track-meta">${learning ? 'Натисніть клавішу, педаль або кнопку…' : (binding ? describeRemoteControl(binding) : '—')}</span>
+            <button class="action-btn${learning ? ' active' : ''}">${learning ? 'Скасувати' : 'Призначити'}</button>
+            <button class="action-btn" title="Очистити" ${binding ? '' : 'disabled'}>✕</button>
+        `;
+        const [learnBtn, clearBtn] = row.querySelectorAll('button');
+        learnBtn.addEventListener('click', () => {
+            remoteLearnAction = learning ? null : action;
+            renderRemoteControls();
+        });
+        clearBtn.addEventListener('click', () => {
+            setRemoteBinding(select.value, action, null);
+            renderRemoteControls();
+        });
+        list.appendChild(row);
+    });
+}
 
-    lessonPausedTime = Date.now() - lessonStartTime - targetTimeMs;
+/**
+ * Starts listening to a MIDI input port.
+ */
+function startLoggingMIDIInput(input) {
+    input.onmidimessage = onMIDIMessage;
+    listeningInputs.add(input);
+    console.log(`🔌 Listening to: ${input.name}`);
+}
 
-    // Reset lesson state
-    lessonPaused = false;
-    lessonPauseStartTime = null;
-    waitingNotes.clear();
+/**
+ * Stops listening to a MIDI input port.
+ */
+function stopLoggingMIDIInput(input) {
+    input.onmidimessage = null;
+    listeningInputs.delete(input);
+    console.log(`🔌 Stopped listening to: ${input.name}`);
+}
 
-    // Recalculate currentEventIndex
-    // We need to find the first event where timeMs >= targetTimeMs
-    let newIndex = 0;
-    for (let i = 0; i < currentLessonEvents.length; i++) {
-        if (currentLessonEvents[i].timeMs >= targetTimeMs) {
-            newIndex = i;
-            break;
-        }
+/**
+ * Read all saved settings
+ */
+function loadSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('⚠️ Could not read settings:', error);
+        return {};
     }
-    currentEventIndex = newIndex;
-
-    console.log(`📍 New event index for lesson: ${currentEventIndex}`);
 }
 
 /**
- * Handle note-on event (from MIDI or virtual piano)
+ * Save a single setting
  */
-function handleNoteOn(noteNumber, velocity) {
-    // Only add to piano roll visualization in freeplay mode
-    if (currentMode === 'freeplay') {
-        addNoteToRoll(noteNumber, velocity);
+function saveSetting(key, value) {
+    try {
+        const settings = loadSettings();
+        settings[key] = value;
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('⚠️ Could not save settings:', error);
     }
+}
 
-    console.log(`🎹 Note ON: ${getNoteNameFromMidi(noteNumber)} (${noteNumber}) - Velocity: ${velocity}`);
-
-    // NAVIGATION: A0 (MIDI 21) rewinds the lesson by 5 seconds
-    if (noteNumber === 21 && lessonActive && currentMode === 'lesson') {
-        console.log('⏮️ Rewind triggered by A0');
-        rewindLesson(5000); // 5 seconds
-        return; // Don't process as a playable note
-    }
+/**
+ * Names of the inputs to listen to. Without a saved choice: the first input.
+ */
+function getSelectedInputNames() {
+    const saved = loadSettings().midiInputs;
+    if (Array.isArray(saved)) return saved;
 
-    // Check progress on every note press
-    checkLessonProgress();
+    const firstInput = midiAccess.inputs.values().next().value;
+    return firstInput ? [firstInput.name] : [];
 }
 
 /**
- * Handle note-off event (from MIDI or virtual piano)
+ * Name of the output that drives the light guide ('' = none). Without a saved choice: the first output.
  */
-function handleNoteOff(noteNumber) {
-    console.log(`🎹 Note OFF: ${getNoteNameFromMidi(noteNumber)} (${noteNumber})`);
-    // Also check progress on note off, although we strictly require holding keys to resume
-    // This function call is kept for consistency if we change logic later
+function getSelectedOutputName() {
+    const saved = loadSettings().midiOutput;
+    if (typeof saved === 'string') return saved;
+
+    const firstOutput = midiAccess.outputs.values().next().value;
+    return firstOutput ? firstOutput.name : '';
 }
 
 /**
- * Handle incoming MIDI messages
+ * Listen to the selected inputs (merged) and route playback to the selected output
  */
-function onMIDIMessage(message) {
-    const [command, noteNumber, velocity] = message.data;
+function applyMidiDeviceSelection() {
+    if (!midiAccess) return;
+
+    const inputNames = getSelectedInputNames();
+    midiAccess.inputs.forEach(input => {
+        const selected = inputNames.includes(input.name) && input.state !== 'disconnected';
+        if (selected && !listeningInputs.has(input)) {
+            startLoggingMIDIInput(input);
+        } else if (!selected && listeningInputs.has(input)) {
+            stopLoggingMIDIInput(input);
+        }
+    });
 
-    const isNoteOn = command === 144 && velocity > 0;
-    const isNoteOff = command === 128 || (command === 144 && velocity === 0);
+    // Forget ports that went away
+    listeningInputs.forEach(input => {
+        if (input.state === 'disconnected') listeningInputs.delete(input);
+    });
 
-    if (isNoteOn) {
-        activateKey(noteNumber, velocity, true); // fromMIDI = true
-        handleNoteOn(noteNumber, velocity);
-    } else if (isNoteOff) {
-        deactivateKey(noteNumber, true); // fromMIDI = true
-        handleNoteOff(noteNumber);
+    const outputName = getSelectedOutputName();
+    midiOutput = null;
+    midiAccess.outputs.forEach(output => {
+        if (!midiOutput && output.name === outputName && output.state !== 'disconnected') {
+            midiOutput = output;
+        }
+    });
+    if (midiOutput) console.log(`🎹 MIDI Output initialized: ${midiOutput.name}`);
+
+    // Status: which inputs we hear
+    const listening = Array.from(listeningInputs);
+    if (listening.length === 1) {
+        updateMIDIStatus(`Підключено: ${listening[0].name}`, 'success');
+    } else if (listening.length > 1) {
+        updateMIDIStatus(`Підключено входів: ${listening.length}`, 'success');
+    } else if (midiAccess.inputs.size > 0) {
+        updateMIDIStatus('Вхід не вибрано', 'error');
+    } else {
+        updateMIDIStatus('Пристрій не знайдено. Перевірте кабель!', 'error');
+        console.log('🎹 MIDI API active, but 0 devices found.');
     }
-}
 
-/**
- * Starts listening to a MIDI input port.
- */
-function startLoggingMIDIInput(input) {
-    input.onmidimessage = onMIDIMessage;
-    console.log(`🔌 Listening to: ${input.name}`);
+    renderDevicePanel();
 }
 
 /**
@@ -1020,49 +5411,91 @@ function startLoggingMIDIInput(input) {
 function onMIDISuccess(midi) {
     midiAccess = midi;
 
-    // Auto-select first input
-    if (midiAccess.inputs.size > 0) {
-        const input = midiAccess.inputs.values().next().value;
-        startLoggingMIDIInput(input);
-        updateMIDIStatus(`Підключено: ${input.name}`, 'success');
-    } else {
-        updateMIDIStatus('Пристрій не знайдено. Перевірте кабель!', 'error');
-        console.log('🎹 MIDI API active, but 0 devices found.');
-    }
-
-    // Auto-select first output for playback
-    if (midiAccess.outputs.size > 0) {
-        midiOutput = midiAccess.outputs.values().next().value;
-        console.log(`🎹 MIDI Output initialized: ${midiOutput.name}`);
-    }
+    // Listen to the remembered inputs and output (or the first ones)
+    applyMidiDeviceSelection();
 
-    // Handle connection changes
+    // Handle connection changes: re-apply the selection so hot-plugged ports
+    // only take over when they're the ones the user chose
     midiAccess.onstatechange = (event) => {
         const port = event.port;
         console.log(`🔄 MIDI device ${port.state}: ${port.name}`);
 
-        if (port.state === 'connected') {
-            if (port.type === 'input') {
-                startLoggingMIDIInput(port);
-                updateMIDIStatus(`${port.name}`, 'success');
-            } else if (port.type === 'output') {
-                midiOutput = port;
-                console.log(`🎹 MIDI Output initialized: ${midiOutput.name}`);
-            }
-        } else if (port.state === 'disconnected') {
-            if (port.type === 'input') {
-                const remainingInputs = Array.from(midiAccess.inputs.values());
-                if (remainingInputs.length === 0) {
-                    updateMIDIStatus('Пристрій відключено', 'error');
-                }
-            } else if (port.type === 'output' && midiOutput && midiOutput.id === port.id) {
-                midiOutput = null;
-                console.log(`🎹 MIDI Output disconnected`);
-            }
+        if (port.state === 'disconnected' && port.type === 'input' && listeningInputs.has(port)) {
+            listeningInputs.delete(port);
+        }
+        applyMidiDeviceSelection();
+
+        if (port.state === 'disconnected' && port.type === 'input' && midiAccess.inputs.size === 0) {
+            updateMIDIStatus('Пристрій відключено', 'error');
         }
     };
 }
 
+/**
+ * Show the MIDI device panel
+ */
+function showDevicePanel() {
+    document.getElementById('deviceModal').classList.add('active');
+    renderDevicePanel();
+}
+
+/**
+ * Fill the device panel with the available inputs (multi-select) and outputs (single select)
+ */
+function renderDevicePanel() {
+    const modal = document.getElementById('deviceModal');
+    if (!modal || !modal.classList.contains('active')) return;
+
+    renderRemoteControls();
+
+    const inputsList = document.getElementById('midiInputsList');
+    const outputsList = document.getElementById('midiOutputsList');
+    inputsList.innerHTML = '';
+    outputsList.innerHTML = '';
+
+    if (!midiAccess) {
+        inputsList.innerHTML = '<p class="history-empty">MIDI недоступний у цьому браузері</p>';
+        return;
+    }
+
+    const inputNames = getSelectedInputNames();
+    const outputName = getSelectedOutputName();
+
+    const addOption = (list, type, name, label, checked, onChange) => {
+        const item = document.createElement('label');
+        item.className = 'device-item';
+        item.innerHTML = `
+            <input type="${type}" name="${type === 'radio' ? 'midiOutput' : 'midiInput'}" ${checked ? 'checked' : ''}>
+            <span class="track-name"></span>
+        `;
+        item.querySelector('.track-name').textContent = label; // Device names are reported by the driver
+        item.querySelector('input').addEventListener('change', (event) => onChange(name, event.target.checked));
+        list.appendChild(item);
+    };
+
+    if (midiAccess.inputs.size === 0) {
+        inputsList.innerHTML = '<p class="history-empty">Входів не знайдено</p>';
+    }
+    midiAccess.inputs.forEach(input => {
+        addOption(inputsList, 'checkbox', input.name, input.name, inputNames.includes(input.name), (name, checked) => {
+            const names = new Set(getSelectedInputNames());
+            if (checked) names.add(name);
+            else names.delete(name);
+            saveSetting('midiInputs', Array.from(names));
+            applyMidiDeviceSelection();
+        });
+    });
+
+    const selectOutput = name => {
+        saveSetting('midiOutput', name);
+        applyMidiDeviceSelection();
+    };
+    addOption(outputsList, 'radio', '', 'Без виходу', outputName === '', selectOutput);
+    midiAccess.outputs.forEach(output => {
+        addOption(outputsList, 'radio', output.name, output.name, output.name === outputName, selectOutput);
+    });
+}
+
 /**
  * Handle MIDI failure
  */
@@ -1079,6 +5512,67 @@ function onMIDIFailure(error) {
     updateMIDIStatus(message, 'error');
 }
 
+/**
+ * Switch between 'freeplay', 'lesson' and 'performance' and show the matching controls
+ */
+function setMode(mode) {
+    if (mode === currentMode) return;
+
+    // A running lesson can't carry over into another mode
+    if (lessonActive) stopLesson();
+    if (isRecording) stopRecording();
+
+    const modeBtn = document.getElementById('modeBtn');
+    const modeLabel = document.getElementById('modeLabel');
+    const isFreeplay = mode === 'freeplay';
+    const lessonDisplay = isFreeplay ? 'none' : 'flex';
+
+    currentMode = mode;
+    modeLabel.textContent = { freeplay: 'Вільна гра', lesson: 'Режим уроку', performance: 'Виступ' }[mode];
+    modeBtn.classList.toggle('active', isFreeplay);
+    document.getElementById('midiUploadContainer').style.display = lessonDisplay;
+    document.getElementById('lessonStartBtn').style.display = lessonDisplay;
+    document.getElementById('loopControls').style.display = lessonDisplay;
+    document.getElementById('measureNav').style.display = lessonDisplay;
+    document.getElementById('tempoControl').style.display = lessonDisplay;
+    document.getElementById('strictModeSelect').style.display = mode === 'lesson' ? 'block' : 'none';
+    document.getElementById('chordRuleSelect').style.display = mode === 'lesson' ? 'block' : 'none';
+    document.getElementById('noteLengthBtn').style.display = isFreeplay ? 'none' : 'flex';
+    document.getElementById('dynamicsSelect').style.display = isFreeplay ? 'none' : 'block';
+    document.getElementById('recorderControls').style.display = isFreeplay ? 'flex' : 'none';
+    document.getElementById('soundBtn').style.display = isFreeplay ? 'flex' : 'none';
+    updateMixerButton();
+    releaseFreeplayVoices();
+
+    noteHistory = [];
+    console.log(`Switched to ${mode} mode`);
+}
+
+/**
+ * Stop the running lesson (keeps the loaded lesson for the next start)
+ * @param {number} reachedMs - Lesson time to record as practiced (the full length on completion)
+ */
+function stopLesson(reachedMs = getLessonElapsedTime()) {
+    recordPracticeSession(reachedMs);
+    lessonActive = false;
+    lessonStartTime = null;
+    lessonPaused = false;
+    lessonPausedTime = 0;
+    lessonPauseStartTime = null;
+    lessonUserPaused = false;
+    waitingNotes.clear();
+    currentEventIndex = 0;
+    updatePerformanceHud();
+    syncLessonPedal(0);
+    stopAccompaniment();
+
+    const lessonStartBtn = document.getElementById('lessonStartBtn');
+    lessonStartBtn.innerHTML = `<span class="btn-label"><svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+ <path d="M5 4.98951C5 4.01835 5 3.53277 5.20249 3.2651C5.37889 3.03191 5.64852 2.88761 5.9404 2.87018C6.27544 2.85017 6.67946 3.11953 7.48752 3.65823L18.0031 10.6686C18.6708 11.1137 19.0046 11.3363 19.1209 11.6168C19.2227 11.8621 19.2227 12.1377 19.1209 12.383C19.0046 12.6635 18.6708 12.886 18.0031 13.3312L7.48752 20.3415C6.67946 20.8802 6.27544 21.1496 5.9404 21.1296C5.64852 21.1122 5.37889 20.9679 5.20249 20.7347C5 20.467 5 19.9814 5 19.0103V4.98951Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+ </svg></span>`;
+    console.log('Lesson stopped');
+}
+
 /**
  * Initialize application
  */
@@ -1086,15 +5580,59 @@ function init() {
     console.log('🚀 Initializing Pianestro...');
 
     // Generate piano keyboard
+    loadKeyboardRange();
     generatePianoKeyboard();
 
     // Initialize piano roll
     initPianoRoll();
-    window.addEventListener('resize', resizePianoRoll);
 
     // Handle window resize
     window.addEventListener('resize', () => {
         resizePianoRoll();
+        resizeNotation();
+    });
+
+    // View: falling notes, notation or both
+    document.getElementById('viewModeBtn').addEventListener('click', () => {
+        const nextView = { roll: 'split', split: 'notation', notation: 'roll' }[viewMode];
+        setViewMode(nextView);
+    });
+    setViewMode(loadSettings().viewMode || 'roll');
+
+    // Fingering: show/hide; while editing, click a falling note to change its finger, right-click for automatic
+    document.getElementById('fingeringBtn').addEventListener('click', () => {
+        showFingering = !showFingering;
+        saveSetting('showFingering', showFingering);
+        updateFingeringUI();
+    });
+    document.getElementById('fingeringEditBtn').addEventListener('click', () => {
+        fingeringEditMode = !fingeringEditMode;
+        updateFingeringUI();
+    });
+    showFingering = loadSettings().showFingering !== false;
+    updateFingeringUI();
+    pianoRollCanvas.addEventListener('click', (event) => {
+        const note = fingeringEditMode ? getLessonNoteAt(event.offsetX, event.offsetY) : null;
+        if (!note) return;
+        setFingerOverride(note, (getEventFinger(note) || 0) % 5 + 1);
+    });
+    pianoRollCanvas.addEventListener('contextmenu', (event) => {
+        const note = fingeringEditMode ? getLessonNoteAt(event.offsetX, event.offsetY) : null;
+        if (!note) return;
+        event.preventDefault();
+        setFingerOverride(note, null);
+    });
+
+    // Zoom: ctrl+wheel / trackpad pinch / touch pinch on the roll and keyboard
+    [document.querySelector('.piano-roll-wrapper'), pianoKeyboard].forEach(element => {
+        element.addEventListener('wheel', onKeyboardWheel, { passive: false });
+        element.addEventListener('touchstart', onKeyboardTouch, { passive: false });
+        element.addEventListener('touchmove', onKeyboardTouch, { passive: false });
+        element.addEventListener('touchend', onKeyboardTouch);
+    });
+    document.getElementById('zoomFitBtn').addEventListener('click', () => {
+        if (zoomMode === 'full') zoomToLesson();
+        else setKeyboardZoom(null, 0, 'full');
     });
 
     // Configuration buttons
@@ -1129,40 +5667,13 @@ function init() {
     resetBtn.addEventListener('click', () => {
         console.log('Reset clicked');
         noteHistory = [];
-        if (lessonActive) {
-            lessonActive = false;
-            lessonStartTime = null;
-            lessonPaused = false;
-            lessonPausedTime = 0;
-            lessonPauseStartTime = null;
-            waitingNotes.clear();
-            currentEventIndex = 0;
-            lessonStartBtn.innerHTML = '<span class="btn-icon">▶️</span><span class="btn-label">Старт уроку</span>';
-        }
+        if (lessonActive) stopLesson();
     });
 
-    // Mode toggle button
-    const midiUploadContainer = document.getElementById('midiUploadContainer');
-
+    // Mode toggle button: cycles Free Play -> Lesson -> Performance -> Free Play
     modeBtn.addEventListener('click', () => {
-        if (currentMode === 'freeplay') {
-            currentMode = 'lesson';
-            modeLabel.textContent = 'Режим уроку';
-            modeBtn.classList.remove('active');
-            midiUploadContainer.style.display = 'flex';
-            lessonStartBtn.style.display = 'flex';
-            console.log('Switched to Lesson Mode');
-        } else {
-            currentMode = 'freeplay';
-            modeLabel.textContent = 'Вільна гра';
-            modeBtn.classList.add('active');
-            midiUploadContainer.style.display = 'none';
-            lessonStartBtn.style.display = 'none';
-            lessonActive = false;
-            lessonStartTime = null;
-            console.log('Switched to Free Play Mode');
-        }
-        noteHistory = [];
+        const nextMode = { freeplay: 'lesson', lesson: 'performance', performance: 'freeplay' }[currentMode];
+        setMode(nextMode);
     });
 
     // Lesson start button
@@ -1183,31 +5694,218 @@ function init() {
             lessonPaused = false;
             lessonPausedTime = 0;
             lessonPauseStartTime = null;
+            lessonUserPaused = false;
             waitingForNote = null;
             currentEventIndex = 0;
             noteHistory = [];
+            lessonStats = createLessonStats(currentMode);
+            currentChordGroup = null;
+            earlyHits.clear();
+            heldLessonNotes.clear();
+            earlyReleases.clear();
+            performanceJudgements.clear();
+            performanceFeedback = null;
+            loopRepeatsDone = 0;
+            syncLessonPedal(0);
+            if (loopEnabled && isLoopValid()) jumpToLoopStart();
+            updatePerformanceHud();
             lessonStartBtn.innerHTML = `<span class="btn-label"><svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
  <path d="M3 7.8C3 6.11984 3 5.27976 3.32698 4.63803C3.6146 4.07354 4.07354 3.6146 4.63803 3.32698C5.27976 3 6.11984 3 7.8 3H16.2C17.8802 3 18.7202 3 19.362 3.32698C19.9265 3.6146 20.3854 4.07354 20.673 4.63803C21 5.27976 21 6.11984 21 7.8V16.2C21 17.8802 21 18.7202 20.673 19.362C20.3854 19.9265 19.9265 20.3854 19.362 20.673C18.7202 21 17.8802 21 16.2 21H7.8C6.11984 21 5.27976 21 4.63803 20.673C4.07354 20.3854 3.6146 19.9265 3.32698 19.362C3 18.7202 3 17.8802 3 16.2V7.8Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
  </svg></span>`;
             console.log('Lesson started:', lessonName);
         } else {
-            // Stop lesson
-            lessonActive = false;
-            lessonStartTime = null;
-            lessonPaused = true;
-            lessonPausedTime = 0;
-            lessonPauseStartTime = null;
-            waitingNotes.clear();
-            currentEventIndex = 0;
-            lessonStartBtn.innerHTML = `<span class="btn-label"><svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                < path d = "M5 4.98951C5 4.01835 5 3.53277 5.20249 3.2651C5.37889 3.03191 5.64852 2.88761 5.9404 2.87018C6.27544 2.85017 6.67946 3.11953 7.48752 3.65823L18.0031 10.6686C18.6708 11.1137 19.0046 11.3363 19.1209 11.6168C19.2227 11.8621 19.2227 12.1377 19.1209 12.383C19.0046 12.6635 18.6708 12.886 18.0031 13.3312L7.48752 20.3415C6.67946 20.8802 6.27544 21.1496 5.9404 21.1296C5.64852 21.1122 5.37889 20.9679 5.20249 20.7347C5 20.467 5 19.9814 5 19.0103V4.98951Z" stroke = "currentColor" stroke - width="2" stroke - linecap="round" stroke - linejoin="round" />
- </svg ></span >`;
-            console.log('Lesson stopped');
+            stopLesson();
         }
     });
 
     // Track Selection Confirm Button
     document.getElementById('confirmMappingBtn').addEventListener('click', applyTrackMapping);
+    document.getElementById('splitPointSlider').addEventListener('input', updateSplitPreview);
+    document.getElementById('splitPointSlider').addEventListener('change', updateDifficultyPanel);
+
+    // A-B Loop controls
+    document.getElementById('loopStartBtn').addEventListener('click', () => {
+        if (!lessonActive) return;
+        setLoopMarker('start', getLessonElapsedTime() + HIT_LINE_LEAD_MS);
+    });
+    document.getElementById('loopEndBtn').addEventListener('click', () => {
+        if (!lessonActive) return;
+        setLoopMarker('end', getLessonElapsedTime() + HIT_LINE_LEAD_MS);
+    });
+    // Lesson timeline: click or drag to seek, pause/skip buttons, keyboard shortcuts
+    const timelineTrack = document.getElementById('timelineTrack');
+    const seekFromPointer = (event) => {
+        const rect = timelineTrack.getBoundingClientRect();
+        if (rect.width > 0) seekToTimelineFraction((event.clientX - rect.left) / rect.width);
+    };
+    timelineTrack.addEventListener('pointerdown', (event) => {
+        if (!lessonActive) return;
+        if (timelineTrack.setPointerCapture) timelineTrack.setPointerCapture(event.pointerId);
+        timelineTrack.classList.add('dragging');
+        seekFromPointer(event);
+    });
+    timelineTrack.addEventListener('pointermove', (event) => {
+        if (timelineTrack.classList.contains('dragging')) seekFromPointer(event);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        timelineTrack.addEventListener(type, () => timelineTrack.classList.remove('dragging'));
+    });
+    document.getElementById('pauseLessonBtn').addEventListener('click', toggleLessonPause);
+    document.getElementById('skipBackBtn').addEventListener('click', () => skipLesson(-5000));
+    document.getElementById('skipForwardBtn').addEventListener('click', () => skipLesson(5000));
+
+    document.addEventListener('keydown', (event) => {
+        if (!lessonActive || !isLessonMode()) return;
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+        const shortcuts = {
+            ' ': toggleLessonPause,
+            ArrowLeft: () => skipLesson(-5000),
+            ArrowRight: () => skipLesson(5000),
+            Home: () => seekToTimelineFraction(0)
+        };
+        const action = shortcuts[event.key];
+        if (!action) return;
+
+        event.preventDefault();
+        action();
+    });
+
+    // Jump to measure
+    document.getElementById('jumpMeasureInput').addEventListener('change', (event) => {
+        const measure = parseInt(event.target.value);
+        if (measure > 0) jumpToMeasure(measure);
+    });
+
+    document.getElementById('loopStartMeasure').addEventListener('change', (event) => {
+        const measure = parseInt(event.target.value);
+        if (measure >= 1 && lessonMidiHeader) setLoopMarker('start', measureToLessonMs(measure));
+    });
+    document.getElementById('loopEndMeasure').addEventListener('change', (event) => {
+        const measure = parseInt(event.target.value);
+        // The loop ends at the downbeat after the chosen measure
+        if (measure >= 1 && lessonMidiHeader) setLoopMarker('end', measureToLessonMs(measure + 1));
+    });
+    document.getElementById('loopRepeatSelect').addEventListener('change', (event) => {
+        loopRepeatTarget = parseInt(event.target.value);
+        loopRepeatsDone = 0;
+        updateLoopUI();
+    });
+    document.getElementById('loopToggleBtn').addEventListener('click', toggleLoop);
+
+    // Recorder controls (free play)
+    document.getElementById('recordBtn').addEventListener('click', () => {
+        if (isRecording) stopRecording();
+        else startRecording();
+    });
+    document.getElementById('playRecordingBtn').addEventListener('click', () => {
+        if (playbackTimers.length > 0) stopPlayback();
+        else playRecording();
+    });
+    document.getElementById('exportRecordingBtn').addEventListener('click', exportRecording);
+    document.getElementById('recordingToLessonBtn').addEventListener('click', loadRecordingAsLesson);
+
+    // Tempo controls
+    document.getElementById('tempoSlider').addEventListener('input', (event) => {
+        setLessonTempo(parseInt(event.target.value) / 100);
+    });
+    document.getElementById('strictModeSelect').addEventListener('change', (event) => {
+        strictMode = event.target.value;
+        saveSetting('strictMode', strictMode);
+        console.log('Strict mode:', strictMode);
+    });
+    strictMode = loadSettings().strictMode || 'off';
+    document.getElementById('strictModeSelect').value = strictMode;
+    document.getElementById('chordRuleSelect').addEventListener('change', (event) => {
+        chordRule = event.target.value;
+        saveSetting('chordRule', chordRule);
+        console.log('Chord rule:', chordRule);
+    });
+    chordRule = loadSettings().chordRule || 'sequential';
+    document.getElementById('chordRuleSelect').value = chordRule;
+    const noteLengthBtn = document.getElementById('noteLengthBtn');
+    noteLengthBtn.addEventListener('click', () => {
+        checkNoteLength = !checkNoteLength;
+        saveSetting('checkNoteLength', checkNoteLength);
+        noteLengthBtn.classList.toggle('active', checkNoteLength);
+        console.log('Note length check:', checkNoteLength ? 'ON' : 'OFF');
+    });
+    checkNoteLength = loadSettings().checkNoteLength === true;
+    noteLengthBtn.classList.toggle('active', checkNoteLength);
+    document.getElementById('dynamicsSelect').addEventListener('change', (event) => {
+        dynamicsTolerance = parseInt(event.target.value);
+        saveSetting('dynamicsTolerance', dynamicsTolerance);
+        console.log('Dynamics tolerance:', dynamicsTolerance || 'OFF');
+    });
+    dynamicsTolerance = loadSettings().dynamicsTolerance || 0;
+    document.getElementById('dynamicsSelect').value = dynamicsTolerance;
+    document.getElementById('speedTrainerBtn').addEventListener('click', () => {
+        speedTrainerEnabled = !speedTrainerEnabled;
+        console.log('Speed trainer:', speedTrainerEnabled ? 'ON' : 'OFF');
+        updateTempoUI();
+    });
+
+    // MIDI device panel (opened from the header status indicator)
+    statusIndicator.addEventListener('click', showDevicePanel);
+    document.getElementById('closeDeviceBtn').addEventListener('click', () => {
+        document.getElementById('deviceModal').classList.remove('active');
+        keyboardDetection = null;
+        remoteLearnAction = null;
+        updateKeyboardSizeUI();
+    });
+
+    // Keyboard size (device panel)
+    document.getElementById('keyboardSizeSelect').addEventListener('change', (event) => {
+        const range = KEYBOARD_SIZES[event.target.value];
+        if (range) setKeyboardRange(range.startNote, range.endNote);
+    });
+    document.getElementById('detectKeyboardBtn').addEventListener('click', () => {
+        keyboardDetection = keyboardDetection ? null : { low: 127, high: 0 };
+        updateKeyboardSizeUI();
+    });
+    updateKeyboardSizeUI();
+
+    // MIDI remote control (device panel)
+    document.getElementById('remoteProfileSelect').addEventListener('change', () => {
+        remoteLearnAction = null;
+        renderRemoteControls();
+    });
+
+    // Practice History (opened from the header avatar)
+    document.getElementById('userAvatar').addEventListener('click', showHistoryUI);
+    document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+        document.getElementById('historyModal').classList.remove('active');
+    });
+
+    // Free Play Sound: instrument, split and layer
+    document.getElementById('soundBtn').addEventListener('click', () => {
+        initAudio();
+        document.getElementById('soundModal').classList.add('active');
+    });
+    document.getElementById('closeSoundBtn').addEventListener('click', () => {
+        document.getElementById('soundModal').classList.remove('active');
+    });
+    const instrumentOptions = Object.entries(FREEPLAY_INSTRUMENTS)
+        .map(([id, preset]) => `<option value="${id}">${preset.name}</option>`).join('');
+    document.getElementById('soundUpperSelect').innerHTML = instrumentOptions;
+    document.getElementById('soundLowerSelect').innerHTML = instrumentOptions;
+    document.getElementById('soundSetupSelect').addEventListener('change', (event) => setFreeplaySound({ setup: event.target.value }));
+    document.getElementById('soundUpperSelect').addEventListener('change', (event) => setFreeplaySound({ upper: event.target.value }));
+    document.getElementById('soundLowerSelect').addEventListener('change', (event) => setFreeplaySound({ lower: event.target.value }));
+    document.getElementById('soundSplitSlider').addEventListener('input', (event) => setFreeplaySound({ splitPoint: parseInt(event.target.value) }));
+    freeplaySound = { ...freeplaySound, ...loadSettings().freeplaySound };
+    updateFreeplaySoundUI();
+
+    // Accompaniment Mixer
+    document.getElementById('mixerBtn').addEventListener('click', showMixerUI);
+    document.getElementById('closeMixerBtn').addEventListener('click', () => {
+        document.getElementById('mixerModal').classList.remove('active');
+    });
+
+    // Lesson Report Close Button
+    document.getElementById('closeReportBtn').addEventListener('click', () => {
+        document.getElementById('lessonReportModal').classList.remove('active');
+    });
 
     // MIDI File Upload
     const midiFileInput = document.getElementById('midiFileInput');
@@ -1215,9 +5913,22 @@ function init() {
         const file = event.target.files[0];
         if (file) {
             loadLessonFromMidi(file);
+            addUploadedSong(file);
         }
     });
 
+    // Song library
+    document.getElementById('libraryBtn').addEventListener('click', showLibraryUI);
+    document.getElementById('librarySearch').addEventListener('input', renderLibrary);
+    document.getElementById('librarySort').addEventListener('change', renderLibrary);
+    document.getElementById('libraryFavouritesBtn').addEventListener('click', () => {
+        libraryFavouritesOnly = !libraryFavouritesOnly;
+        renderLibrary();
+    });
+    document.getElementById('closeLibraryBtn').addEventListener('click', () => {
+        document.getElementById('libraryModal').classList.remove('active');
+    });
+
     // Request MIDI access
     const requestMIDI = async () => {
         // Log environment for debugging
@@ -1264,6 +5975,9 @@ function init() {
 
     // Trigger MIDI request
     requestMIDI();
+
+    // Offline support (app, libraries and samples cached by the service worker)
+    registerServiceWorker();
 }
 
 /**
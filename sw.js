@@ -0,0 +1,144 @@
+/**
+ * Pianestro service worker: keeps the app, its libraries and the piano samples available offline
+ */
+
+const CACHE_NAME = 'pianestro-v3';
+
+// Piano samples bundled with the app (the 'bundled' set in PIANO_SAMPLE_SOURCES, script-v2.js)
+const BUNDLED_SAMPLES = ['Ds1', 'A1', 'Ds2', 'A2', 'Ds3', 'A3', 'Ds4', 'A4', 'Ds5', 'A5', 'Ds6', 'A6', 'Ds7', 'A7', 'C8']
+    .map(name => `samples/piano/${name}.mp3`);
+
+// App shell, cached on install ('./' is the app opened at its folder URL)
+const APP_FILES = [
+    './',
+    'index-v2.html',
+    'style-v2.css',
+    'script-v2.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    ...BUNDLED_SAMPLES
+];
+
+// Songs of the library (BUNDLED_SONGS in script-v2.js), so the library works offline from the first visit
+const SONG_FILES = [
+    'Adele - Easy On Me.mid',
+    'Adele - Make You Feel My Love - EASY.mid',
+    'chp_op18.mid',
+    'chpn-p2.mid',
+    'chpn_op25_e1.mid',
+    'chpn_op25_e2.mid',
+    'chpn_op66.mid',
+    'chpn_op7_1.mid',
+    'chpn_op7_2.mid',
+    'deb_clai.mid',
+    'fruehlingsrauschen.mid',
+    'mond_1.mid',
+    'scn15_1.mid',
+    'symphony_2_1_(c)lucarelli.mid',
+    'ty_august.mid',
+    'ty_februar.mid',
+    'ty_januar.mid',
+    'ty_maerz.mid',
+    'ty_november.mid',
+    'ty_oktober.mid',
+    'ty_september.mid'
+].map(name => 'midi/' + encodeURIComponent(name));
+
+// Libraries the page loads from CDNs (pinned versions, same as index-v2.html)
+const LIBRARY_URLS = [
+    'https://cdn.jsdelivr.net/npm/jzz@1.9.6/javascript/JZZ.js',
+    'https://cdn.jsdelivr.net/npm/jzz-midi-smf@1.9.9/javascript/JZZ.midi.SMF.js',
+    'https://unpkg.com/@tonejs/midi@2.0.28/build/Midi.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/tone/14.8.49/Tone.js'
+];
+
+/**
+ * Download the app files, songs and libraries that aren't cached yet
+ * @returns {Promise<Array>} URLs that are still missing (retried on the next call)
+ */
+async function cacheMissingFiles() {
+    const cache = await caches.open(CACHE_NAME);
+    const urls = [...APP_FILES, ...SONG_FILES, ...LIBRARY_URLS];
+    const cached = await Promise.all(urls.map(url => cache.match(url)));
+    const missing = urls.filter((url, index) => !cached[index]);
+
+    // Libraries are fetched with CORS, so failed downloads can be told apart and left out
+    const results = await Promise.allSettled(missing.map(async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${url}`);
+        await cache.put(url, response);
+    }));
+    return missing.filter((url, index) => results[index].status === 'rejected');
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll([...APP_FILES, ...SONG_FILES]);
+        await cacheMissingFiles();
+        self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+        await cacheMissingFiles();
+    })());
+});
+
+// The page asks on every start: retry what is missing and report how much still is
+self.addEventListener('message', (event) => {
+    if (event.data !== 'checkOfflineFiles') return;
+
+    event.waitUntil(cacheMissingFiles().then(missing => {
+        event.source.postMessage({ type: 'offlineFiles', missing: missing.length });
+    }));
+});
+
+/**
+ * App files: network first so updates arrive, cache when offline.
+ * Everything else (libraries, samples, songs): cache first, stored on first use if not precached.
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    const url = new URL(request.url);
+    const isAppFile = request.mode === 'navigate' ||
+        (url.origin === self.location.origin && (url.pathname.endsWith('/') || APP_FILES.some(file => url.pathname.endsWith('/' + file))));
+
+    event.respondWith(isAppFile ? networkFirst(request) : cacheFirst(request));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Offline page load at any URL of the app: serve the app itself
+        if (request.mode === 'navigate') {
+            const app = await cache.match('index-v2.html');
+            if (app) return app;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    // Opaque (no-cors) responses can't be checked, so only successful CORS / same-origin ones are kept
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}